@@ -0,0 +1,283 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { addLogListener, createLogger } = require('./utils');
+
+const METRICS_DIRECTORY = 'var/.sidworks-hot/metrics';
+const MAX_SESSION_FILES = 50;
+
+// Settings that change build speed; stored with every session so the report can show what differed.
+const SESSION_SETTING_KEYS = [
+    'scssEngine',
+    'useSassEmbedded',
+    'scssSourceMap',
+    'skipPostCss',
+    'jsSourceMap',
+    'devCache',
+    'buildParallelism',
+    'hotCoreOnly',
+    'twigWatchMode',
+    'twigLint',
+    'consoleWorker',
+];
+
+function percentile(sortedValues, fraction) {
+    if (sortedValues.length === 0) {
+        return 0;
+    }
+
+    const index = Math.min(sortedValues.length - 1, Math.max(0, Math.ceil(fraction * sortedValues.length) - 1));
+    return sortedValues[index];
+}
+
+function formatDuration(durationMs) {
+    if (durationMs < 1000) {
+        return `${durationMs}ms`;
+    }
+
+    return `${(durationMs / 1000).toFixed(durationMs < 10000 ? 2 : 1)}s`;
+}
+
+/**
+ * Groups build events by subsystem: `[{ subsystem, builds, failures, p50, p95, max }]`, sorted by subsystem.
+ */
+function summarizeBuildEvents(events) {
+    const durationsBySubsystem = new Map();
+    const failuresBySubsystem = new Map();
+
+    for (const event of events) {
+        if (!durationsBySubsystem.has(event.subsystem)) {
+            durationsBySubsystem.set(event.subsystem, []);
+            failuresBySubsystem.set(event.subsystem, 0);
+        }
+
+        durationsBySubsystem.get(event.subsystem).push(event.durationMs);
+        if (!event.ok) {
+            failuresBySubsystem.set(event.subsystem, failuresBySubsystem.get(event.subsystem) + 1);
+        }
+    }
+
+    return [...durationsBySubsystem.keys()].sort().map((subsystem) => {
+        const durations = durationsBySubsystem.get(subsystem).sort((left, right) => left - right);
+
+        return {
+            subsystem,
+            builds: durations.length,
+            failures: failuresBySubsystem.get(subsystem),
+            p50: percentile(durations, 0.5),
+            p95: percentile(durations, 0.95),
+            max: durations[durations.length - 1],
+        };
+    });
+}
+
+/**
+ * Aligns table cells: the first column left, all others right.
+ */
+function formatTable(lines) {
+    const widths = lines[0].map((_cell, column) => Math.max(...lines.map((line) => String(line[column]).length)));
+
+    return lines.map((line) => line.map((cell, column) => {
+        return column === 0 ? String(cell).padEnd(widths[column]) : String(cell).padStart(widths[column]);
+    }).join('  ').trimEnd());
+}
+
+function formatSummaryRows(rows) {
+    return formatTable([
+        ['', 'builds', 'failed', 'p50', 'p95', 'max'],
+        ...rows.map((row) => [
+            row.subsystem,
+            row.builds,
+            row.failures,
+            formatDuration(row.p50),
+            formatDuration(row.p95),
+            formatDuration(row.max),
+        ]),
+    ]);
+}
+
+/**
+ * Reads all recorded sessions, oldest first: `[{ id, filePath, session, events }]`.
+ * Lines that cannot be parsed (e.g. a session killed mid-write) are skipped.
+ */
+function readMetricsSessions(projectRoot) {
+    const directory = path.resolve(projectRoot, METRICS_DIRECTORY);
+
+    let fileNames = [];
+    try {
+        fileNames = fs.readdirSync(directory).filter((fileName) => fileName.endsWith('.ndjson')).sort();
+    } catch (_error) {
+        return [];
+    }
+
+    return fileNames.map((fileName) => {
+        const filePath = path.join(directory, fileName);
+        const entry = { id: fileName.replace(/\.ndjson$/, ''), filePath, session: null, events: [] };
+
+        let source = '';
+        try {
+            source = fs.readFileSync(filePath, 'utf8');
+        } catch (_error) {
+            return entry;
+        }
+
+        for (const line of source.split('\n')) {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (_error) {
+                continue;
+            }
+
+            if (record?.type === 'session') {
+                entry.session = record;
+            } else if (record?.type === 'build' && typeof record.subsystem === 'string' && Number.isFinite(record.durationMs)) {
+                entry.events.push(record);
+            }
+        }
+
+        return entry;
+    });
+}
+
+function pruneSessionFiles(directory) {
+    let fileNames = [];
+    try {
+        fileNames = fs.readdirSync(directory).filter((fileName) => fileName.endsWith('.ndjson')).sort();
+    } catch (_error) {
+        return;
+    }
+
+    for (const fileName of fileNames.slice(0, Math.max(0, fileNames.length - MAX_SESSION_FILES + 1))) {
+        try {
+            fs.unlinkSync(path.join(directory, fileName));
+        } catch (_error) {
+            // removed by another watcher
+        }
+    }
+}
+
+/**
+ * Records every finished build (an `OK` or `ERR` log line with a duration) to
+ * var/.sidworks-hot/metrics/<session>.ndjson and prints p50/p95/max per subsystem on `close()`.
+ */
+function createBuildMetrics(projectRoot, options = {}) {
+    const rootPath = path.resolve(projectRoot);
+    const settings = options.settings || {};
+    const enabled = settings.metrics !== false;
+    const directory = path.resolve(rootPath, METRICS_DIRECTORY);
+    const sessionId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${process.pid}`;
+    const filePath = path.join(directory, `${sessionId}.ndjson`);
+    const log = createLogger('METRICS');
+    const state = {
+        events: [],
+        removeListener: null,
+        writable: true,
+        closed: false,
+    };
+
+    function append(record) {
+        if (!state.writable) {
+            return;
+        }
+
+        try {
+            fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+        } catch (error) {
+            state.writable = false;
+            log.status('WARN', `unable to write ${path.relative(rootPath, filePath)}, keeping metrics in memory: ${error.message}`);
+        }
+    }
+
+    function handleLogRecord(record) {
+        if ((record.status !== 'OK' && record.status !== 'ERR') || record.durationMs === null) {
+            return;
+        }
+
+        const event = {
+            type: 'build',
+            time: record.time,
+            subsystem: record.subsystem,
+            ok: record.status === 'OK',
+            durationMs: record.durationMs,
+            files: record.files.length,
+        };
+
+        state.events.push(event);
+        append(event);
+    }
+
+    /**
+     * `context.poll` is the resolved watch mode (false or the polling interval).
+     */
+    function start(context = {}) {
+        if (!enabled || state.removeListener) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(directory, { recursive: true });
+            pruneSessionFiles(directory);
+        } catch (_error) {
+            // append() reports the problem
+        }
+
+        const sessionSettings = {};
+        for (const key of SESSION_SETTING_KEYS) {
+            sessionSettings[key] = settings[key];
+        }
+
+        append({
+            type: 'session',
+            id: sessionId,
+            startedAt: new Date().toISOString(),
+            node: process.version,
+            poll: context.poll || false,
+            settings: sessionSettings,
+        });
+
+        state.removeListener = addLogListener(handleLogRecord);
+    }
+
+    function summarize() {
+        return summarizeBuildEvents(state.events);
+    }
+
+    function close() {
+        if (state.closed) {
+            return;
+        }
+
+        state.closed = true;
+        if (state.removeListener) {
+            state.removeListener();
+            state.removeListener = null;
+        }
+
+        const rows = summarize();
+        if (rows.length === 0) {
+            return;
+        }
+
+        log.log(`build times this session (${path.relative(rootPath, filePath)})`);
+        for (const line of formatSummaryRows(rows)) {
+            log.log(`  ${line}`);
+        }
+    }
+
+    return {
+        start,
+        summarize,
+        close,
+    };
+}
+
+module.exports = {
+    METRICS_DIRECTORY,
+    createBuildMetrics,
+    readMetricsSessions,
+    summarizeBuildEvents,
+    formatTable,
+    formatSummaryRows,
+    formatDuration,
+};
@@ -12,35 +12,93 @@ const {
     colorize,
     formatFilePath,
     summarizeFiles,
+    readSourceSnippet,
     createLogger,
 } = require('./utils');
+const { validateSnippetFile, formatKeyList } = require('./snippet-validator');
+const { isRestartFile } = require('./change-storm');
+const { createGlobMatcher, resolveWatchConfig } = require('./watch-config');
+const { loadSettings } = require('./settings');
 
 function createChangeFeedbackWatcher(projectRoot, options = {}) {
     const DUPLICATE_LOG_WINDOW_MS = 2000;
     const TWIG_DEBOUNCE_MS = 90;
     const TRANSLATION_DEBOUNCE_MS = 180;
+    const PHP_DEBOUNCE_MS = 300;
+    const THEME_DEBOUNCE_MS = 300;
+    const PLUGINS_DEBOUNCE_MS = 500;
     const rootPath = path.resolve(projectRoot);
     const storefrontApp = resolveStorefrontApp(rootPath);
     const storefrontRequire = createStorefrontRequire(rootPath);
     const Watchpack = storefrontRequire('watchpack');
-    const coreOnlyHotMode = process.env.SHOPWARE_STOREFRONT_HOT_CORE_ONLY === '1';
-    const disableJsCompilation = process.env.SHOPWARE_STOREFRONT_DISABLE_JS === '1';
-    const jsCompileFeedbackEnabled = process.env.SHOPWARE_STOREFRONT_JS_COMPILE_FEEDBACK !== '0';
-    const disableTwigWatch = process.env.SHOPWARE_STOREFRONT_DISABLE_TWIG === '1';
-    const disableTranslationWatch = process.env.SHOPWARE_STOREFRONT_DISABLE_TRANSLATION_WATCH === '1';
+    const settings = options.settings || loadSettings(rootPath);
+    const watchConfig = resolveWatchConfig(rootPath, settings);
+    const storefrontViewsRoot = path.resolve(storefrontApp, '..', '..', 'views');
+    // `narrow` only follows the project, plugin, app and storefront templates; `all` every watched Twig file.
+    const isWatchedTwigFile = settings.twigWatchMode === 'narrow'
+        ? createGlobMatcher([...watchConfig.twigGlobs, `${storefrontViewsRoot.replace(/\\/g, '/')}/**/*.twig`])
+        : () => true;
+    const coreOnlyHotMode = settings.hotCoreOnly;
+    const disableJsCompilation = settings.disableJs;
+    const jsCompileFeedbackEnabled = settings.jsCompileFeedback;
+    const disablePhpWatch = settings.disablePhpWatch;
+    const disableThemeWatch = settings.disableThemeWatch;
+    const twigLintEnabled = settings.twigLint;
+    const snippetValidationEnabled = settings.snippetValidation;
+    const shopwareConsole = options.shopwareConsole || null;
+    const changeStorm = options.changeStorm || null;
     const onTranslationChange = typeof options.onTranslationChange === 'function'
         ? options.onTranslationChange
         : null;
+    const onFeedback = typeof options.onFeedback === 'function'
+        ? options.onFeedback
+        : null;
+    const onPhpChange = typeof options.onPhpChange === 'function'
+        ? options.onPhpChange
+        : null;
+    const onThemeChange = typeof options.onThemeChange === 'function'
+        ? options.onThemeChange
+        : null;
+    const onPluginEntriesChange = typeof options.onPluginEntriesChange === 'function'
+        ? options.onPluginEntriesChange
+        : null;
+    const onTwigChange = typeof options.onTwigChange === 'function'
+        ? options.onTwigChange
+        : null;
+    // Pipelines that can be paused while the watcher runs, mapped to the reason shown for skipped files.
+    const pausedPipelines = new Map();
+    if (settings.disableTwig) {
+        pausedPipelines.set('twig', '--no-twig');
+    } else if (settings.twigWatchMode === 'off') {
+        pausedPipelines.set('twig', 'twigWatchMode: off');
+    }
+    if (settings.disableTranslationWatch) {
+        pausedPipelines.set('translation', 'translation watch disabled');
+    }
     const twigLog = createLogger('TWIG');
     const translationLog = createLogger('I18N');
+    const phpLog = createLogger('PHP');
+    const themeLog = createLogger('THEME');
+    const pluginsLog = createLogger('PLUGINS');
+    const pluginsConfigPath = path.resolve(rootPath, 'var/plugins.json');
+    const appsRootPath = path.resolve(rootPath, 'custom/apps');
+    const lockFilePaths = [
+        path.resolve(rootPath, 'composer.lock'),
+        path.resolve(rootPath, 'package-lock.json'),
+        path.resolve(storefrontApp, 'package-lock.json'),
+    ];
 
     let watchpack = null;
+    let watchedDirectories = [];
     const recentlyLogged = new Map();
     const twigState = {
         timer: null,
+        inFlight: false,
+        queued: false,
         waitLogged: false,
         pendingEventType: '',
         pendingFiles: new Set(),
+        pendingPaths: new Set(),
     };
     const translationState = {
         timer: null,
@@ -49,15 +107,45 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
         waitLogged: false,
         pendingEventType: '',
         pendingFiles: new Set(),
+        pendingPaths: new Set(),
+    };
+    const phpState = {
+        timer: null,
+        inFlight: false,
+        queued: false,
+        waitLogged: false,
+        clearCache: false,
+        pendingEventType: '',
+        pendingFiles: new Set(),
+    };
+    const pluginsState = {
+        timer: null,
+        inFlight: false,
+        queued: false,
+        bundleDumpNeeded: false,
+        snapshot: new Map(),
     };
+    const themeState = {
+        timer: null,
+        inFlight: false,
+        queued: false,
+        waitLogged: false,
+        pendingEventType: '',
+        pendingFiles: new Set(),
+    };
+
+    function reportFeedback(source, ok, error = null) {
+        if (onFeedback) {
+            onFeedback({ source, ok, error });
+        }
+    }
 
     function logFileEvent(fileType, eventType, formattedFile, details = '') {
-        const eventColor = eventType === 'remove' ? ANSI.yellow : ANSI.green;
-        const typeTag = colorize(`[${fileType.toUpperCase()}]`, ANSI.cyan);
-        const eventTag = colorize(`[${eventType.toUpperCase()}]`, eventColor);
         const suffix = details ? ` ${colorize(details, ANSI.gray)}` : '';
 
-        console.log(`[SidworksDevTools] ${typeTag} ${eventTag} ${formattedFile}${suffix}`);
+        createLogger(fileType.toUpperCase()).status(eventType.toUpperCase(), `${formattedFile}${suffix}`, false, {
+            files: [formattedFile],
+        });
     }
 
     function isExistingDirectory(directoryPath) {
@@ -76,8 +164,6 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
     }
 
     function readPluginsConfig() {
-        const pluginsConfigPath = path.resolve(rootPath, 'var/plugins.json');
-
         try {
             const parsed = JSON.parse(fs.readFileSync(pluginsConfigPath, 'utf8'));
             return typeof parsed === 'object' && parsed !== null
@@ -99,17 +185,24 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
 
     function collectWatchDirectories() {
         const directories = new Set();
-        const storefrontViewsRoot = path.resolve(storefrontApp, '..', '..', 'views');
 
         [
             path.resolve(storefrontApp, 'src'),
-            path.resolve(rootPath, 'src/Resources/views'),
+            path.resolve(rootPath, 'src'),
+            path.resolve(rootPath, 'config'),
             path.resolve(rootPath, 'templates'),
             storefrontViewsRoot,
             path.resolve(rootPath, 'custom/plugins'),
             path.resolve(rootPath, 'custom/apps'),
+            ...watchConfig.extraRoots,
         ].filter(isExistingDirectory).forEach((d) => directories.add(d));
 
+        for (const twigRoot of watchConfig.twigRoots) {
+            if (isExistingDirectory(twigRoot) && ![...directories].some((d) => isPathInside(twigRoot, d))) {
+                directories.add(twigRoot);
+            }
+        }
+
         const pluginConfigs = readPluginsConfig();
         for (const pluginConfig of pluginConfigs) {
             const pluginBasePath = resolvePluginBasePath(pluginConfig);
@@ -153,20 +246,57 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
     function classifyFile(filePath) {
         const extension = path.extname(filePath).toLowerCase();
         if (extension === '.twig') {
-            return 'twig';
+            return isWatchedTwigFile(filePath) ? 'twig' : '';
         }
 
         if (extension === '.json' && isTranslationJsonFile(filePath)) {
             return 'translation';
         }
 
+        if (isRestartFile(filePath) && lockFilePaths.includes(path.resolve(filePath))) {
+            return 'lockfile';
+        }
+
+        if (path.basename(filePath) === 'theme.json') {
+            return 'theme';
+        }
+
+        if (path.resolve(filePath) === pluginsConfigPath || (path.basename(filePath) === 'manifest.xml' && isPathInside(filePath, appsRootPath))) {
+            return 'plugins';
+        }
+
         if (['.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx'].includes(extension)) {
             return 'js';
         }
 
+        if (isVendorFile(filePath)) {
+            return '';
+        }
+
+        if (['.php', '.xml', '.yaml', '.yml'].includes(extension) && isContainerConfigFile(filePath)) {
+            return 'config';
+        }
+
+        if (extension === '.php') {
+            return 'php';
+        }
+
         return '';
     }
 
+    function isVendorFile(filePath) {
+        const normalizedPath = String(filePath || '').replace(/\\/g, '/');
+
+        return normalizedPath.includes('/vendor/') || normalizedPath.startsWith(`${rootPath.replace(/\\/g, '/')}/var/`);
+    }
+
+    function isContainerConfigFile(filePath) {
+        const normalizedPath = String(filePath || '').replace(/\\/g, '/');
+        const projectConfigPath = `${rootPath.replace(/\\/g, '/')}/config/`;
+
+        return normalizedPath.includes('/Resources/config/') || normalizedPath.startsWith(projectConfigPath);
+    }
+
     function shouldSkipDuplicate(eventType, formattedFile) {
         const dedupeKey = `${eventType}:${formattedFile}`;
         const now = Date.now();
@@ -184,7 +314,7 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
         return normalizedPath.includes('/snippet/') || normalizedPath.includes('/snippets/');
     }
 
-    function rememberTwigPending(eventType, formattedFile) {
+    function rememberTwigPending(eventType, formattedFile, absoluteFilePath) {
         if (typeof eventType === 'string' && eventType !== '') {
             twigState.pendingEventType = eventType;
         }
@@ -192,24 +322,168 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
         if (typeof formattedFile === 'string' && formattedFile !== '') {
             twigState.pendingFiles.add(formattedFile);
         }
+
+        if (typeof absoluteFilePath === 'string' && absoluteFilePath !== '') {
+            twigState.pendingPaths.add(absoluteFilePath);
+        }
+    }
+
+    /**
+     * Reads the JSON array printed by `lint:twig --format=json` from stdout. PHP notices printed before it
+     * (display_errors writes to stdout on the CLI) are skipped by trying every line that starts with `[`.
+     */
+    function parseTwigLintOutput(output) {
+        const text = String(output || '');
+        const end = text.lastIndexOf(']');
+
+        for (let start = text.indexOf('['); start !== -1 && start < end; start = text.indexOf('[', start + 1)) {
+            if (start > 0 && text[start - 1] !== '\n') {
+                continue;
+            }
+
+            try {
+                const results = JSON.parse(text.slice(start, end + 1));
+                if (Array.isArray(results)) {
+                    return results;
+                }
+            } catch (_error) {
+                // not the JSON document, try the next line
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolves with the invalid lint results; rejects when lint:twig could not be run at all. Output that cannot be
+     * read counts as a failed check, so the templates are not reloaded unchecked.
+     */
+    async function lintTwigFiles(filePaths) {
+        const existingFiles = filePaths.filter((filePath) => fs.existsSync(filePath));
+        if (!twigLintEnabled || !shopwareConsole || existingFiles.length === 0) {
+            return [];
+        }
+
+        let output = '';
+        let failureOutput = '';
+        try {
+            output = await shopwareConsole.run(['lint:twig', ...existingFiles, '--format=json'], { stdoutOnly: true });
+        } catch (error) {
+            if (typeof error.exitCode !== 'number') {
+                throw error;
+            }
+
+            output = error.stdout;
+            failureOutput = error.output;
+        }
+
+        const results = parseTwigLintOutput(output);
+        if (!results) {
+            const excerpt = String(failureOutput || output || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+
+            return [{
+                file: existingFiles[0],
+                line: 0,
+                title: 'Twig lint failed',
+                message: `unreadable lint:twig output${excerpt ? `: ${excerpt}` : ''}`,
+                valid: false,
+            }];
+        }
+
+        return results.filter((result) => result && result.valid === false);
+    }
+
+    function reportTwigLintFailure(invalidResults, reasonLabel) {
+        const [first] = invalidResults;
+        const line = Number(first.line) || 0;
+        const formattedFile = formatFilePath(String(first.file || ''), rootPath) || String(first.file || '');
+        const location = line > 0 ? `${formattedFile}:${line}` : formattedFile;
+        const more = invalidResults.length > 1 ? ` (+${invalidResults.length - 1} more invalid)` : '';
+
+        const outcome = onTwigChange ? ', reload held back' : '';
+
+        const error = {
+            title: first.title || 'Twig syntax error',
+            message: `${first.message || 'syntax error'}${more}`,
+            file: formattedFile,
+            line,
+            snippet: readSourceSnippet(String(first.file || ''), line),
+        };
+
+        twigLog.status('ERR', `invalid template ${location}${more}${outcome} (${reasonLabel}): ${first.message || 'syntax error'}`, true, {
+            files: invalidResults.map((result) => formatFilePath(String(result.file || ''), rootPath)),
+            error,
+        });
+        reportFeedback('twig', false, error);
+    }
+
+    function notifyTwigChange({ trigger, files, paths, reasonLabel, startedAt }) {
+        if (onTwigChange) {
+            const summary = onTwigChange({ eventType: trigger, files, paths, reasonLabel });
+            const durationMs = Date.now() - startedAt;
+            twigLog.status('OK', `${summary || 'pages notified'} (${reasonLabel}) in ${durationMs}ms`, false, { durationMs, files });
+            return;
+        }
+
+        const durationMs = Date.now() - startedAt;
+        twigLog.status('OK', `checked (${reasonLabel}) in ${durationMs}ms`, false, { durationMs, files });
     }
 
-    function flushTwigReloadFeedback() {
+    async function flushTwigReloadFeedback() {
         const trigger = twigState.pendingEventType || 'change';
         const fileSummary = summarizeFiles([...twigState.pendingFiles]);
         const reasonLabel = fileSummary ? `${trigger}: ${fileSummary}` : trigger;
 
+        if (twigState.inFlight) {
+            twigState.queued = true;
+            if (!twigState.waitLogged) {
+                twigLog.status('WAIT', `change queued while templates are checked${fileSummary ? ` (${fileSummary})` : ''}`);
+                twigState.waitLogged = true;
+            }
+            return;
+        }
+
+        const files = [...twigState.pendingFiles];
+        const paths = [...twigState.pendingPaths];
+
         twigState.pendingEventType = '';
         twigState.pendingFiles.clear();
+        twigState.pendingPaths.clear();
         twigState.waitLogged = false;
+        twigState.inFlight = true;
 
         const startedAt = Date.now();
-        twigLog.status('RUN', `reloading (${reasonLabel})`);
-        twigLog.status('OK', `reloaded (${reasonLabel}) in ${Date.now() - startedAt}ms`);
+        twigLog.status('RUN', `${twigLintEnabled && shopwareConsole ? 'linting + ' : ''}reloading (${reasonLabel})`);
+
+        try {
+            let invalidResults = [];
+            try {
+                invalidResults = await lintTwigFiles(paths);
+            } catch (error) {
+                twigLog.status('WARN', `lint:twig unavailable, reloading unchecked: ${error?.message || error}`);
+            }
+
+            if (invalidResults.length > 0) {
+                reportTwigLintFailure(invalidResults, reasonLabel);
+                return;
+            }
+
+            notifyTwigChange({ trigger, files, paths, reasonLabel, startedAt });
+            reportFeedback('twig', true);
+        } finally {
+            twigState.inFlight = false;
+
+            if (twigState.queued) {
+                twigState.queued = false;
+                setTimeout(() => {
+                    void flushTwigReloadFeedback();
+                }, TWIG_DEBOUNCE_MS);
+            }
+        }
     }
 
-    function scheduleTwigReloadFeedback(eventType, formattedFile) {
-        rememberTwigPending(eventType, formattedFile);
+    function scheduleTwigReloadFeedback(eventType, formattedFile, absoluteFilePath) {
+        rememberTwigPending(eventType, formattedFile, absoluteFilePath);
 
         if (twigState.timer) {
             if (!twigState.waitLogged) {
@@ -222,11 +496,11 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
 
         twigState.timer = setTimeout(() => {
             twigState.timer = null;
-            flushTwigReloadFeedback();
+            void flushTwigReloadFeedback();
         }, TWIG_DEBOUNCE_MS);
     }
 
-    function rememberTranslationPending(eventType, formattedFile) {
+    function rememberTranslationPending(eventType, formattedFile, absoluteFilePath) {
         if (typeof eventType === 'string' && eventType !== '') {
             translationState.pendingEventType = eventType;
         }
@@ -234,6 +508,71 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
         if (typeof formattedFile === 'string' && formattedFile !== '') {
             translationState.pendingFiles.add(formattedFile);
         }
+
+        if (typeof absoluteFilePath === 'string' && absoluteFilePath !== '') {
+            translationState.pendingPaths.add(absoluteFilePath);
+        }
+    }
+
+    /**
+     * Logs key differences against sibling locales and returns the first invalid file, or null when all files parse.
+     */
+    function validateSnippetFiles(filePaths) {
+        let firstInvalid = null;
+
+        for (const filePath of filePaths) {
+            if (!fs.existsSync(filePath)) {
+                continue;
+            }
+
+            const formattedFile = formatFilePath(filePath, rootPath) || filePath;
+            const result = validateSnippetFile(filePath);
+
+            for (const difference of result.keyDifferences) {
+                if (difference.missing.length > 0) {
+                    translationLog.status('WARN', `${formattedFile}: ${difference.missing.length} key(s) missing compared to ${difference.locale}: ${formatKeyList(difference.missing)}`);
+                }
+                if (difference.extra.length > 0) {
+                    translationLog.status('WARN', `${formattedFile}: ${difference.extra.length} key(s) not in ${difference.locale}: ${formatKeyList(difference.extra)}`);
+                }
+            }
+
+            if (result.parseError) {
+                const location = result.parseError.line > 0 ? `${formattedFile}:${result.parseError.line}` : formattedFile;
+                translationLog.status('ERR', `invalid JSON in ${location}: ${result.parseError.message}`, true, {
+                    files: [formattedFile],
+                    error: { message: result.parseError.message, file: formattedFile, line: result.parseError.line, column: result.parseError.column },
+                });
+                firstInvalid = firstInvalid || {
+                    title: 'Invalid snippet JSON',
+                    message: result.parseError.message,
+                    file: formattedFile,
+                    line: result.parseError.line,
+                    column: result.parseError.column,
+                    snippet: readSourceSnippet(filePath, result.parseError.line, result.parseError.column),
+                };
+                continue;
+            }
+
+            if (result.duplicates.length > 0) {
+                const [duplicate] = result.duplicates;
+                const keys = formatKeyList(result.duplicates.map((entry) => entry.key));
+                translationLog.status('ERR', `duplicate key(s) in ${formattedFile}:${duplicate.line}: ${keys}`, true, {
+                    files: [formattedFile],
+                    error: { message: `Duplicate key(s): ${keys}`, file: formattedFile, line: duplicate.line, column: duplicate.column },
+                });
+                firstInvalid = firstInvalid || {
+                    title: 'Duplicate snippet keys',
+                    message: `Duplicate key(s): ${keys}`,
+                    file: formattedFile,
+                    line: duplicate.line,
+                    column: duplicate.column,
+                    snippet: readSourceSnippet(filePath, duplicate.line, duplicate.column),
+                };
+            }
+        }
+
+        return firstInvalid;
     }
 
     async function flushTranslationFeedback() {
@@ -251,9 +590,23 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
             return;
         }
 
+        const pendingPaths = [...translationState.pendingPaths];
+
         translationState.pendingEventType = '';
         translationState.pendingFiles.clear();
+        translationState.pendingPaths.clear();
         translationState.waitLogged = false;
+
+        const invalidFile = snippetValidationEnabled ? validateSnippetFiles(pendingPaths) : null;
+        if (invalidFile) {
+            translationLog.status('ERR', `cache flush skipped until the snippet file is valid (${reasonLabel})`, true, {
+                files: pendingFiles,
+                error: invalidFile,
+            });
+            reportFeedback('i18n', false, invalidFile);
+            return;
+        }
+
         translationState.inFlight = true;
         const startedAt = Date.now();
         translationLog.status('RUN', `flushing cache (${reasonLabel})`);
@@ -264,12 +617,24 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
                     eventType: trigger,
                     reasonLabel,
                     files: pendingFiles,
+                    paths: pendingPaths,
                 });
             }
 
-            translationLog.status('OK', `cache flushed + reload triggered (${reasonLabel}) in ${Date.now() - startedAt}ms`);
+            const durationMs = Date.now() - startedAt;
+            translationLog.status('OK', `cache flushed + reload triggered (${reasonLabel}) in ${durationMs}ms`, false, { durationMs, files: pendingFiles });
+            reportFeedback('i18n', true);
         } catch (error) {
-            translationLog.status('ERR', `cache flush failed (${reasonLabel}) after ${Date.now() - startedAt}ms: ${error?.message || error}`, true);
+            const durationMs = Date.now() - startedAt;
+            translationLog.status('ERR', `cache flush failed (${reasonLabel}) after ${durationMs}ms: ${error?.message || error}`, true, {
+                durationMs,
+                files: pendingFiles,
+                error,
+            });
+            reportFeedback('i18n', false, {
+                title: 'Translation cache flush failed',
+                message: `${error?.message || error}\n\nChanged: ${fileSummary || trigger}`,
+            });
         } finally {
             translationState.inFlight = false;
 
@@ -282,8 +647,8 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
         }
     }
 
-    function scheduleTranslationFeedback(eventType, formattedFile) {
-        rememberTranslationPending(eventType, formattedFile);
+    function scheduleTranslationFeedback(eventType, formattedFile, absoluteFilePath) {
+        rememberTranslationPending(eventType, formattedFile, absoluteFilePath);
 
         if (translationState.timer) {
             if (!translationState.waitLogged) {
@@ -300,6 +665,284 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
         }, TRANSLATION_DEBOUNCE_MS);
     }
 
+    function rememberPhpPending(eventType, formattedFile, fileType) {
+        if (typeof eventType === 'string' && eventType !== '') {
+            phpState.pendingEventType = eventType;
+        }
+
+        if (typeof formattedFile === 'string' && formattedFile !== '') {
+            phpState.pendingFiles.add(formattedFile);
+        }
+
+        // Debug kernels notice edited classes on their own; config changes and removed classes need a fresh container.
+        if (fileType === 'config' || eventType === 'remove') {
+            phpState.clearCache = true;
+        }
+    }
+
+    async function flushPhpFeedback() {
+        const pendingFiles = [...phpState.pendingFiles];
+        const trigger = phpState.pendingEventType || 'change';
+        const fileSummary = summarizeFiles(pendingFiles);
+        const reasonLabel = fileSummary ? `${trigger}: ${fileSummary}` : trigger;
+
+        if (phpState.inFlight) {
+            phpState.queued = true;
+            if (!phpState.waitLogged) {
+                phpLog.status('WAIT', `change queued while the kernel is rebuilding${fileSummary ? ` (${fileSummary})` : ''}`);
+                phpState.waitLogged = true;
+            }
+            return;
+        }
+
+        const clearCache = phpState.clearCache;
+
+        phpState.pendingEventType = '';
+        phpState.pendingFiles.clear();
+        phpState.clearCache = false;
+        phpState.waitLogged = false;
+        phpState.inFlight = true;
+        const startedAt = Date.now();
+        phpLog.status('RUN', `${clearCache ? 'clearing container cache + ' : ''}waiting for kernel (${reasonLabel})`);
+
+        try {
+            if (onPhpChange) {
+                await onPhpChange({
+                    eventType: trigger,
+                    reasonLabel,
+                    files: pendingFiles,
+                    clearCache,
+                });
+            }
+
+            const durationMs = Date.now() - startedAt;
+            phpLog.status('OK', `kernel ready + reload triggered (${reasonLabel}) in ${durationMs}ms`, false, { durationMs, files: pendingFiles });
+            reportFeedback('php', true);
+        } catch (error) {
+            const durationMs = Date.now() - startedAt;
+            phpLog.status('ERR', `kernel rebuild failed (${reasonLabel}) after ${durationMs}ms: ${error?.message || error}`, true, {
+                durationMs,
+                files: pendingFiles,
+                error,
+            });
+            reportFeedback('php', false, {
+                title: 'Kernel rebuild failed',
+                message: `${error?.message || error}\n\nChanged: ${fileSummary || trigger}`,
+            });
+        } finally {
+            phpState.inFlight = false;
+
+            if (phpState.queued) {
+                phpState.queued = false;
+                setTimeout(() => {
+                    void flushPhpFeedback();
+                }, PHP_DEBOUNCE_MS);
+            }
+        }
+    }
+
+    function schedulePhpFeedback(eventType, formattedFile, fileType) {
+        rememberPhpPending(eventType, formattedFile, fileType);
+
+        if (phpState.timer) {
+            return;
+        }
+
+        phpState.timer = setTimeout(() => {
+            phpState.timer = null;
+            void flushPhpFeedback();
+        }, PHP_DEBOUNCE_MS);
+    }
+
+    /**
+     * Plugin/app name -> storefront JS entry ('' without one), from the last bundle dump.
+     */
+    function readPluginSnapshot() {
+        const snapshot = new Map();
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(pluginsConfigPath, 'utf8'));
+            for (const [name, pluginConfig] of Object.entries(parsed || {})) {
+                const entryFilePath = pluginConfig?.storefront?.entryFilePath;
+                snapshot.set(name, typeof entryFilePath === 'string' ? entryFilePath : '');
+            }
+        } catch (_error) {
+            // missing or half-written dump: keep an empty snapshot
+        }
+
+        return snapshot;
+    }
+
+    function diffPluginSnapshots(previous, next) {
+        const added = [...next.keys()].filter((name) => !previous.has(name));
+        const removed = [...previous.keys()].filter((name) => !next.has(name));
+        const entriesChanged = [...new Set([...previous.keys(), ...next.keys()])]
+            .some((name) => (previous.get(name) || '') !== (next.get(name) || ''));
+
+        return { added, removed, entriesChanged };
+    }
+
+    function refreshWatchDirectories() {
+        if (!watchpack) {
+            return;
+        }
+
+        watchedDirectories = collectWatchDirectories();
+        watchpack.watch([pluginsConfigPath, ...lockFilePaths], watchedDirectories, Date.now());
+    }
+
+    async function flushPluginsFeedback() {
+        if (pluginsState.inFlight) {
+            pluginsState.queued = true;
+            return;
+        }
+
+        pluginsState.inFlight = true;
+        const startedAt = Date.now();
+
+        try {
+            if (pluginsState.bundleDumpNeeded && shopwareConsole) {
+                pluginsState.bundleDumpNeeded = false;
+                pluginsLog.status('RUN', 'app manifest changed, dumping bundle config');
+                await shopwareConsole.run(['bundle:dump']);
+            }
+
+            const snapshot = readPluginSnapshot();
+            const diff = diffPluginSnapshots(pluginsState.snapshot, snapshot);
+            pluginsState.snapshot = snapshot;
+
+            if (diff.added.length === 0 && diff.removed.length === 0 && !diff.entriesChanged) {
+                return;
+            }
+
+            const changes = [
+                diff.added.length > 0 ? `added: ${summarizeFiles(diff.added)}` : '',
+                diff.removed.length > 0 ? `removed: ${summarizeFiles(diff.removed)}` : '',
+            ].filter(Boolean).join(', ') || 'storefront entries changed';
+            pluginsLog.status('RUN', `plugin set changed (${changes})`);
+
+            refreshWatchDirectories();
+
+            if (diff.entriesChanged && onPluginEntriesChange) {
+                pluginsLog.status('RUN', 'JS entries changed, restarting webpack compiler');
+                await onPluginEntriesChange(diff);
+            }
+
+            const durationMs = Date.now() - startedAt;
+            pluginsLog.status('OK', `watching updated plugin set (${changes}) in ${durationMs}ms`, false, {
+                durationMs,
+                files: [formatFilePath(pluginsConfigPath, rootPath)],
+            });
+        } catch (error) {
+            const durationMs = Date.now() - startedAt;
+            pluginsLog.status('ERR', `updating plugin set failed after ${durationMs}ms: ${error?.message || error}`, true, {
+                durationMs,
+                files: [formatFilePath(pluginsConfigPath, rootPath)],
+                error,
+            });
+        } finally {
+            pluginsState.inFlight = false;
+
+            if (pluginsState.queued) {
+                pluginsState.queued = false;
+                setTimeout(() => {
+                    void flushPluginsFeedback();
+                }, PLUGINS_DEBOUNCE_MS);
+            }
+        }
+    }
+
+    function schedulePluginsFeedback(absoluteFilePath) {
+        if (path.basename(absoluteFilePath) === 'manifest.xml') {
+            pluginsState.bundleDumpNeeded = true;
+        }
+
+        if (pluginsState.timer) {
+            clearTimeout(pluginsState.timer);
+        }
+
+        pluginsState.timer = setTimeout(() => {
+            pluginsState.timer = null;
+            void flushPluginsFeedback();
+        }, PLUGINS_DEBOUNCE_MS);
+    }
+
+    async function flushThemeFeedback() {
+        const pendingFiles = [...themeState.pendingFiles];
+        const trigger = themeState.pendingEventType || 'change';
+        const fileSummary = summarizeFiles(pendingFiles);
+        const reasonLabel = fileSummary ? `${trigger}: ${fileSummary}` : trigger;
+
+        if (themeState.inFlight) {
+            themeState.queued = true;
+            if (!themeState.waitLogged) {
+                themeLog.status('WAIT', `change queued while theme dump is running${fileSummary ? ` (${fileSummary})` : ''}`);
+                themeState.waitLogged = true;
+            }
+            return;
+        }
+
+        themeState.pendingEventType = '';
+        themeState.pendingFiles.clear();
+        themeState.waitLogged = false;
+        themeState.inFlight = true;
+        const startedAt = Date.now();
+        themeLog.status('RUN', `dumping theme (${reasonLabel})`);
+
+        try {
+            if (onThemeChange) {
+                await onThemeChange({
+                    eventType: trigger,
+                    reasonLabel,
+                    files: pendingFiles,
+                });
+            }
+
+            const durationMs = Date.now() - startedAt;
+            themeLog.status('OK', `theme dumped + reload triggered (${reasonLabel}) in ${durationMs}ms`, false, { durationMs, files: pendingFiles });
+            reportFeedback('theme', true);
+        } catch (error) {
+            const durationMs = Date.now() - startedAt;
+            themeLog.status('ERR', `theme dump failed (${reasonLabel}) after ${durationMs}ms: ${error?.message || error}`, true, {
+                durationMs,
+                files: pendingFiles,
+                error,
+            });
+            reportFeedback('theme', false, {
+                title: 'Theme dump failed',
+                message: `${error?.message || error}\n\nChanged: ${fileSummary || trigger}`,
+            });
+        } finally {
+            themeState.inFlight = false;
+
+            if (themeState.queued) {
+                themeState.queued = false;
+                setTimeout(() => {
+                    void flushThemeFeedback();
+                }, THEME_DEBOUNCE_MS);
+            }
+        }
+    }
+
+    function scheduleThemeFeedback(eventType, formattedFile) {
+        if (typeof eventType === 'string' && eventType !== '') {
+            themeState.pendingEventType = eventType;
+        }
+
+        if (typeof formattedFile === 'string' && formattedFile !== '') {
+            themeState.pendingFiles.add(formattedFile);
+        }
+
+        if (themeState.timer) {
+            return;
+        }
+
+        themeState.timer = setTimeout(() => {
+            themeState.timer = null;
+            void flushThemeFeedback();
+        }, THEME_DEBOUNCE_MS);
+    }
+
     function handleFileEvent(eventType, absoluteFilePath) {
         const fileType = classifyFile(absoluteFilePath);
         if (!fileType) {
@@ -311,6 +954,19 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
             return;
         }
 
+        // Plugin list changes stay on their own pipeline; they are rare and restart the JS compiler.
+        if (changeStorm && fileType !== 'plugins' && changeStorm.record(fileType, formattedFile)) {
+            dropPendingFeedback();
+            return;
+        }
+
+        if (fileType === 'lockfile') {
+            if (!shouldSkipDuplicate(eventType, formattedFile)) {
+                logFileEvent('deps', eventType, formattedFile, '(restart the watcher after installing dependencies)');
+            }
+            return;
+        }
+
         if (fileType === 'js') {
             if (shouldSkipDuplicate(eventType, formattedFile)) {
                 return;
@@ -335,38 +991,128 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
         }
 
         if (fileType === 'twig') {
-            if (disableTwigWatch) {
+            if (pausedPipelines.has('twig')) {
                 if (shouldSkipDuplicate(eventType, formattedFile)) {
                     return;
                 }
 
-                logFileEvent('twig', eventType, formattedFile, '(skipped: --no-twig)');
+                logFileEvent('twig', eventType, formattedFile, `(skipped: ${pausedPipelines.get('twig')})`);
                 return;
             }
 
-            scheduleTwigReloadFeedback(eventType, formattedFile);
+            scheduleTwigReloadFeedback(eventType, formattedFile, absoluteFilePath);
             return;
         }
 
         if (fileType === 'translation') {
-            if (disableTranslationWatch) {
+            if (pausedPipelines.has('translation')) {
                 if (shouldSkipDuplicate(eventType, formattedFile)) {
                     return;
                 }
 
-                logFileEvent('i18n', eventType, formattedFile, '(skipped: translation watch disabled)');
+                logFileEvent('i18n', eventType, formattedFile, `(skipped: ${pausedPipelines.get('translation')})`);
+                return;
+            }
+
+            if (shouldSkipDuplicate(eventType, formattedFile)) {
+                return;
+            }
+
+            scheduleTranslationFeedback(eventType, formattedFile, absoluteFilePath);
+            return;
+        }
+
+        if (fileType === 'plugins') {
+            schedulePluginsFeedback(absoluteFilePath);
+            return;
+        }
+
+        if (fileType === 'theme') {
+            if (shouldSkipDuplicate(eventType, formattedFile)) {
                 return;
             }
 
+            if (disableThemeWatch) {
+                logFileEvent(fileType, eventType, formattedFile, '(skipped: theme watch disabled)');
+                return;
+            }
+
+            logFileEvent(fileType, eventType, formattedFile);
+            scheduleThemeFeedback(eventType, formattedFile);
+            return;
+        }
+
+        if (fileType === 'php' || fileType === 'config') {
             if (shouldSkipDuplicate(eventType, formattedFile)) {
                 return;
             }
 
-            scheduleTranslationFeedback(eventType, formattedFile);
+            if (disablePhpWatch) {
+                logFileEvent(fileType, eventType, formattedFile, '(skipped: PHP watch disabled)');
+                return;
+            }
+
+            logFileEvent(fileType, eventType, formattedFile);
+            schedulePhpFeedback(eventType, formattedFile, fileType);
+        }
+    }
+
+    /**
+     * Drops debounced work that has not started yet; the change storm covers those files with one combined rebuild.
+     */
+    function dropPendingFeedback() {
+        for (const pendingState of [twigState, translationState, phpState, themeState]) {
+            dropPendingWork(pendingState);
+        }
+
+        phpState.clearCache = false;
+    }
+
+    function dropPendingWork(pendingState) {
+        if (pendingState.timer) {
+            clearTimeout(pendingState.timer);
+            pendingState.timer = null;
+        }
+
+        pendingState.queued = false;
+        pendingState.pendingEventType = '';
+        pendingState.pendingFiles.clear();
+        if (pendingState.pendingPaths) {
+            pendingState.pendingPaths.clear();
         }
     }
 
-    function start() {
+    /**
+     * Pauses or resumes the `twig` or `translation` pipeline. Changes made while paused are logged as skipped and
+     * not replayed on resume.
+     */
+    function setPipelineEnabled(pipeline, enabled) {
+        const pipelineState = pipeline === 'twig' ? twigState : pipeline === 'translation' ? translationState : null;
+        if (!pipelineState) {
+            throw new Error(`Unknown pipeline ${pipeline}`);
+        }
+
+        if (enabled) {
+            pausedPipelines.delete(pipeline);
+            return;
+        }
+
+        pausedPipelines.set(pipeline, 'paused');
+        dropPendingWork(pipelineState);
+    }
+
+    function isPipelineEnabled(pipeline) {
+        return !pausedPipelines.has(pipeline);
+    }
+
+    function getWatchedDirectories() {
+        return watchedDirectories.map((directory) => formatFilePath(directory, rootPath));
+    }
+
+    /**
+     * `startOptions.poll` is false for native file events or a polling interval in ms (see watch-mode.js).
+     */
+    function start(startOptions = {}) {
         if (watchpack) {
             return true;
         }
@@ -376,19 +1122,19 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
             return false;
         }
 
+        watchedDirectories = directoriesToWatch;
+
         watchpack = new Watchpack({
             aggregateTimeout: 80,
-            ignored: [
-                '**/.git/**',
-                '**/node_modules/**',
-                '**/var/cache/**',
-                '**/var/.sidworks-hot/**',
-            ],
+            poll: startOptions.poll || undefined,
+            ignored: watchConfig.ignored,
         });
 
+        pluginsState.snapshot = readPluginSnapshot();
+
         watchpack.on('change', (filePath) => handleFileEvent('change', filePath));
         watchpack.on('remove', (filePath) => handleFileEvent('remove', filePath));
-        watchpack.watch([], directoriesToWatch, Date.now() - 1000);
+        watchpack.watch([pluginsConfigPath, ...lockFilePaths], directoriesToWatch, Date.now() - 1000);
         return true;
     }
 
@@ -403,6 +1149,21 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
             translationState.timer = null;
         }
 
+        if (phpState.timer) {
+            clearTimeout(phpState.timer);
+            phpState.timer = null;
+        }
+
+        if (themeState.timer) {
+            clearTimeout(themeState.timer);
+            themeState.timer = null;
+        }
+
+        if (pluginsState.timer) {
+            clearTimeout(pluginsState.timer);
+            pluginsState.timer = null;
+        }
+
         if (watchpack) {
             watchpack.close();
             watchpack = null;
@@ -412,6 +1173,9 @@ function createChangeFeedbackWatcher(projectRoot, options = {}) {
     return {
         start,
         close,
+        setPipelineEnabled,
+        isPipelineEnabled,
+        getWatchedDirectories,
     };
 }
 
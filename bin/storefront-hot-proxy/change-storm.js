@@ -0,0 +1,133 @@
+const path = require('node:path');
+
+const { summarizeFiles, createLogger } = require('./utils');
+
+const STORM_WINDOW_MS = 1000;
+const DEFAULT_STORM_THRESHOLD = 40;
+const STORM_SETTLE_MS = 1500;
+const RESTART_FILE_NAMES = new Set(['composer.lock', 'package-lock.json']);
+
+function isRestartFile(filePath) {
+    return RESTART_FILE_NAMES.has(path.basename(String(filePath || '')));
+}
+
+/**
+ * Detects bulk changes (branch switch, composer install) by event rate so the watchers can hold back their
+ * per-file pipelines and run one combined rebuild once the filesystem is quiet again.
+ *
+ * `record()` returns true while a storm is active; the caller then drops its own pending work, because every
+ * file recorded within the detection window is part of the storm passed to `options.onSettle`.
+ */
+function createChangeStorm(options = {}) {
+    const threshold = Number.isInteger(options.threshold) ? options.threshold : DEFAULT_STORM_THRESHOLD;
+    const onStart = typeof options.onStart === 'function' ? options.onStart : null;
+    const onSettle = typeof options.onSettle === 'function' ? options.onSettle : null;
+    const log = createLogger('WATCH');
+    const state = {
+        recent: [],
+        active: false,
+        startedAt: 0,
+        lastEventAt: 0,
+        settleTimer: null,
+        filesByType: new Map(),
+    };
+
+    function addFile(fileType, filePath) {
+        if (!state.filesByType.has(fileType)) {
+            state.filesByType.set(fileType, new Set());
+        }
+
+        state.filesByType.get(fileType).add(filePath);
+    }
+
+    function countFiles() {
+        let count = 0;
+        for (const files of state.filesByType.values()) {
+            count += files.size;
+        }
+
+        return count;
+    }
+
+    function settle() {
+        state.settleTimer = null;
+
+        const byType = {};
+        for (const [fileType, files] of state.filesByType) {
+            byType[fileType] = [...files];
+        }
+        const files = Object.values(byType).flat();
+        const durationMs = state.lastEventAt - state.startedAt;
+
+        state.active = false;
+        state.recent = [];
+        state.filesByType.clear();
+
+        log.status('RUN', `${files.length} files changed within ${durationMs}ms, rebuilding once (${summarizeFiles(files)})`);
+
+        if (onSettle) {
+            onSettle({ files, byType, restartFiles: files.filter(isRestartFile), durationMs });
+        }
+    }
+
+    function record(fileType, filePath) {
+        if (threshold === 0) {
+            return false;
+        }
+
+        const now = Date.now();
+        state.recent.push({ time: now, fileType, filePath });
+        while (state.recent.length > 0 && now - state.recent[0].time > STORM_WINDOW_MS) {
+            state.recent.shift();
+        }
+
+        if (!state.active) {
+            if (state.recent.length < threshold) {
+                return false;
+            }
+
+            state.active = true;
+            state.startedAt = state.recent[0].time;
+            for (const event of state.recent) {
+                addFile(event.fileType, event.filePath);
+            }
+
+            log.status('WAIT', `${countFiles()} files changed, settling`);
+            if (onStart) {
+                onStart();
+            }
+        } else {
+            addFile(fileType, filePath);
+        }
+
+        state.lastEventAt = now;
+        if (state.settleTimer) {
+            clearTimeout(state.settleTimer);
+        }
+        state.settleTimer = setTimeout(settle, STORM_SETTLE_MS);
+
+        return true;
+    }
+
+    function isActive() {
+        return state.active;
+    }
+
+    function close() {
+        if (state.settleTimer) {
+            clearTimeout(state.settleTimer);
+            state.settleTimer = null;
+        }
+    }
+
+    return {
+        record,
+        isActive,
+        close,
+    };
+}
+
+module.exports = {
+    createChangeStorm,
+    isRestartFile,
+};
@@ -0,0 +1,175 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const CLIENT_BASE_PATH = '/_sidworks_hot';
+const CLIENT_EVENTS_ROUTE = `${CLIENT_BASE_PATH}/client-events`;
+const CLIENT_SCRIPT_DIRECTORY = path.resolve(__dirname, 'client');
+
+function readClientScript(fileName) {
+    return fs.readFileSync(path.resolve(CLIENT_SCRIPT_DIRECTORY, fileName), 'utf8');
+}
+
+function toInlineJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function createClientChannel(options = {}) {
+    const state = {
+        // response -> { pageId ('' when unknown), page, userAgent, connectedAt }
+        subscribers: new Map(),
+        errors: new Map(),
+        scripts: [readClientScript('hot-client.js')],
+    };
+
+    if (options.errorOverlay !== false) {
+        state.scripts.push(readClientScript('error-overlay.js'));
+    }
+
+    if (options.stateRestore !== false) {
+        state.scripts.push(readClientScript('state-restore.js'));
+    }
+
+    if (options.twigMorph === true) {
+        state.scripts.push(readClientScript('dom-morph.js'));
+    }
+
+    function send(subscriber, payload) {
+        try {
+            subscriber.write(`data: ${JSON.stringify(payload)}\n\n`);
+        } catch (_error) {
+            state.subscribers.delete(subscriber);
+        }
+    }
+
+    function broadcast(type, payload = {}, filter = null) {
+        let sent = 0;
+
+        for (const [subscriber, client] of state.subscribers) {
+            if (filter && !filter(client.pageId)) {
+                continue;
+            }
+
+            send(subscriber, { ...payload, type });
+            sent++;
+        }
+
+        return sent;
+    }
+
+    function countSubscribers() {
+        return state.subscribers.size;
+    }
+
+    function listClients() {
+        return [...state.subscribers.values()].map((client) => ({ ...client }));
+    }
+
+    function listErrors() {
+        return [...state.errors.values()];
+    }
+
+    function reportError(source, details = {}) {
+        const error = {
+            source,
+            title: details.title || 'Error',
+            message: String(details.message || ''),
+            file: details.file || '',
+            line: Number(details.line) || 0,
+            column: Number(details.column) || 0,
+            snippet: details.snippet || '',
+        };
+
+        state.errors.set(source, error);
+        broadcast('error', { error });
+    }
+
+    function clearError(source) {
+        if (!state.errors.delete(source)) {
+            return;
+        }
+
+        broadcast('clear', { source });
+    }
+
+    function handleFeedback({ source, ok, error }) {
+        if (ok) {
+            clearError(source);
+            return;
+        }
+
+        reportError(source, error);
+    }
+
+    function getMarkup(proxyOrigin, pageId = '') {
+        const eventsQuery = pageId ? `?page=${encodeURIComponent(pageId)}` : '';
+        const config = {
+            eventsUrl: `${proxyOrigin}${CLIENT_EVENTS_ROUTE}${eventsQuery}`,
+            pageId,
+            twigMorph: options.twigMorph === true,
+        };
+
+        return [
+            '<script id="sidworks-hot-client">',
+            `window.__SIDWORKS_HOT__ = ${toInlineJson(config)};`,
+            ...state.scripts,
+            '</script>',
+        ].join('\n');
+    }
+
+    function handleInternalRequest(req, res) {
+        const [requestPath, query = ''] = (req.url || '').split('?');
+        if (requestPath !== CLIENT_EVENTS_ROUTE) {
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            Connection: 'keep-alive',
+        });
+
+        state.subscribers.set(res, {
+            pageId: new URLSearchParams(query).get('page') || '',
+            // EventSource requests carry the page that opened them as referer.
+            page: String(req.headers.referer || ''),
+            userAgent: String(req.headers['user-agent'] || ''),
+            connectedAt: new Date().toISOString(),
+        });
+        send(res, { type: 'errors', errors: [...state.errors.values()] });
+
+        req.on('close', () => {
+            state.subscribers.delete(res);
+        });
+
+        return true;
+    }
+
+    function close() {
+        for (const subscriber of state.subscribers.keys()) {
+            try {
+                subscriber.end();
+            } catch (_error) {
+                // no-op
+            }
+        }
+        state.subscribers.clear();
+    }
+
+    return {
+        broadcast,
+        countSubscribers,
+        listClients,
+        listErrors,
+        reportError,
+        clearError,
+        handleFeedback,
+        getMarkup,
+        handleInternalRequest,
+        close,
+    };
+}
+
+module.exports = {
+    createClientChannel,
+    CLIENT_EVENTS_ROUTE,
+};
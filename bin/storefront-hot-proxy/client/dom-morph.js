@@ -0,0 +1,210 @@
+(function () {
+    const config = window.__SIDWORKS_HOT__ || {};
+    const MATCH_LOOKAHEAD = 12;
+
+    if (!config.twigMorph || typeof DOMParser === 'undefined') {
+        return;
+    }
+
+    // Server rendered body as last seen by the morph, paired with the live nodes it produced.
+    // Nodes inserted by JS plugins are not in this map and are therefore left untouched.
+    const liveByServerNode = new WeakMap();
+    let serverBody = null;
+    let morphInFlight = false;
+    let morphQueued = false;
+
+    function mapTrees(serverNode, liveNode) {
+        liveByServerNode.set(serverNode, liveNode);
+
+        for (let index = 0; index < serverNode.childNodes.length; index++) {
+            if (liveNode.childNodes[index]) {
+                mapTrees(serverNode.childNodes[index], liveNode.childNodes[index]);
+            }
+        }
+    }
+
+    function captureBaseline() {
+        serverBody = document.body.cloneNode(true);
+        mapTrees(serverBody, document.body);
+    }
+
+    function isSameNode(left, right) {
+        if (left.nodeType !== right.nodeType || left.nodeName !== right.nodeName) {
+            return false;
+        }
+
+        return left.nodeType !== Node.ELEMENT_NODE || !left.id || !right.id || left.id === right.id;
+    }
+
+    function matchChildren(previousChildren, nextChildren) {
+        const matches = new Map();
+        let cursor = 0;
+
+        nextChildren.forEach(function (nextChild) {
+            const limit = Math.min(previousChildren.length, cursor + MATCH_LOOKAHEAD);
+            for (let index = cursor; index < limit; index++) {
+                if (isSameNode(previousChildren[index], nextChild)) {
+                    matches.set(nextChild, previousChildren[index]);
+                    cursor = index + 1;
+                    return;
+                }
+            }
+        });
+
+        return matches;
+    }
+
+    function syncAttributes(previousElement, nextElement, liveElement) {
+        let changed = false;
+
+        Array.prototype.forEach.call(nextElement.attributes, function (attribute) {
+            if (previousElement.getAttribute(attribute.name) !== attribute.value) {
+                liveElement.setAttribute(attribute.name, attribute.value);
+                changed = true;
+            }
+        });
+
+        Array.prototype.forEach.call(previousElement.attributes, function (attribute) {
+            if (!nextElement.hasAttribute(attribute.name)) {
+                liveElement.removeAttribute(attribute.name);
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    function merge(previousNode, nextNode, liveNode, changedRoots) {
+        liveByServerNode.set(nextNode, liveNode);
+
+        if (nextNode.nodeType !== Node.ELEMENT_NODE) {
+            if (previousNode.nodeValue !== nextNode.nodeValue) {
+                liveNode.nodeValue = nextNode.nodeValue;
+                changedRoots.add(liveNode.parentElement);
+            }
+            return;
+        }
+
+        if (syncAttributes(previousNode, nextNode, liveNode)) {
+            changedRoots.add(liveNode);
+        }
+
+        const previousChildren = Array.prototype.slice.call(previousNode.childNodes);
+        const nextChildren = Array.prototype.slice.call(nextNode.childNodes);
+        const matches = matchChildren(previousChildren, nextChildren);
+        const matchedPrevious = new Set(matches.values());
+
+        previousChildren.forEach(function (previousChild) {
+            const liveChild = liveByServerNode.get(previousChild);
+            if (!matchedPrevious.has(previousChild) && liveChild && liveChild.parentNode === liveNode) {
+                liveNode.removeChild(liveChild);
+                changedRoots.add(liveNode);
+            }
+        });
+
+        let anchor = null;
+        for (let index = nextChildren.length - 1; index >= 0; index--) {
+            const nextChild = nextChildren[index];
+            const previousChild = matches.get(nextChild);
+            const liveChild = previousChild ? liveByServerNode.get(previousChild) : null;
+
+            if (liveChild && liveChild.parentNode === liveNode) {
+                merge(previousChild, nextChild, liveChild, changedRoots);
+                anchor = liveChild;
+                continue;
+            }
+
+            if (previousChild) {
+                // Moved or removed by a JS plugin: leave it to the plugin.
+                continue;
+            }
+
+            const inserted = document.importNode(nextChild, true);
+            liveNode.insertBefore(inserted, anchor);
+            mapTrees(nextChild, inserted);
+            changedRoots.add(inserted.nodeType === Node.ELEMENT_NODE ? inserted : liveNode);
+            anchor = inserted;
+        }
+    }
+
+    function topmostRoots(changedRoots) {
+        const roots = Array.from(changedRoots).filter(Boolean);
+
+        return roots.filter(function (root) {
+            return !roots.some(function (other) {
+                return other !== root && other.contains(root);
+            });
+        });
+    }
+
+    function reinitializePlugins(roots) {
+        const pluginManager = window.PluginManager;
+        if (!pluginManager) {
+            return;
+        }
+
+        if (typeof pluginManager.initializePluginsInParentElement !== 'function') {
+            pluginManager.initializePlugins();
+            return;
+        }
+
+        roots.forEach(function (root) {
+            pluginManager.initializePluginsInParentElement(root);
+        });
+    }
+
+    function morph() {
+        if (morphInFlight) {
+            morphQueued = true;
+            return;
+        }
+
+        morphInFlight = true;
+
+        fetch(window.location.href, {
+            credentials: 'same-origin',
+            headers: {
+                Accept: 'text/html',
+                'X-Sidworks-Hot-Page': config.pageId || '',
+            },
+        })
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+
+                return response.text();
+            })
+            .then(function (html) {
+                const nextDocument = new DOMParser().parseFromString(html, 'text/html');
+                const changedRoots = new Set();
+
+                merge(serverBody, nextDocument.body, document.body, changedRoots);
+                serverBody = nextDocument.body;
+
+                const roots = topmostRoots(changedRoots);
+                reinitializePlugins(roots);
+                console.info('[SidworksDevTools] Twig morph updated ' + roots.length + ' element(s)');
+            })
+            .catch(function (error) {
+                console.warn('[SidworksDevTools] Twig morph failed, reloading page:', error);
+                window.dispatchEvent(new CustomEvent('sidworks-hot:reload', { detail: { type: 'reload' } }));
+            })
+            .finally(function () {
+                morphInFlight = false;
+
+                if (morphQueued) {
+                    morphQueued = false;
+                    morph();
+                }
+            });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', captureBaseline, { once: true });
+    } else {
+        captureBaseline();
+    }
+
+    window.addEventListener('sidworks-hot:twig-changed', morph);
+})();
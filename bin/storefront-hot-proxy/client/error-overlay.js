@@ -0,0 +1,150 @@
+(function () {
+    const OVERLAY_ID = 'sidworks-hot-error-overlay';
+    const SOURCE_LABELS = {
+        js: 'JS',
+        scss: 'SCSS',
+        twig: 'Twig',
+        i18n: 'Translations',
+        php: 'PHP',
+        theme: 'Theme',
+    };
+    const errors = new Map();
+    let dismissed = false;
+
+    function createElement(tagName, styles, text) {
+        const element = document.createElement(tagName);
+        Object.assign(element.style, styles || {});
+        if (typeof text === 'string') {
+            element.textContent = text;
+        }
+
+        return element;
+    }
+
+    function formatLocation(error) {
+        if (!error.file) {
+            return '';
+        }
+
+        if (!error.line) {
+            return error.file;
+        }
+
+        return error.file + ':' + error.line + (error.column ? ':' + error.column : '');
+    }
+
+    function removeOverlay() {
+        const existing = document.getElementById(OVERLAY_ID);
+        if (existing) {
+            existing.remove();
+        }
+    }
+
+    function render() {
+        removeOverlay();
+
+        if (errors.size === 0 || dismissed || !document.body) {
+            return;
+        }
+
+        const overlay = createElement('div', {
+            position: 'fixed',
+            inset: '0',
+            zIndex: '2147483647',
+            overflow: 'auto',
+            padding: '32px',
+            background: 'rgba(20, 20, 24, 0.92)',
+            color: '#f4f4f5',
+            font: '14px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace',
+        });
+        overlay.id = OVERLAY_ID;
+
+        const header = createElement('div', {
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '24px',
+        });
+        header.appendChild(createElement('strong', { fontSize: '16px', color: '#f87171' }, '[SidworksDevTools] Build failed'));
+
+        const closeButton = createElement('button', {
+            background: 'transparent',
+            border: '1px solid #71717a',
+            borderRadius: '4px',
+            color: '#f4f4f5',
+            cursor: 'pointer',
+            padding: '4px 12px',
+        }, 'Dismiss');
+        closeButton.type = 'button';
+        closeButton.addEventListener('click', function () {
+            dismissed = true;
+            removeOverlay();
+        });
+        header.appendChild(closeButton);
+        overlay.appendChild(header);
+
+        errors.forEach(function (error) {
+            const section = createElement('section', {
+                marginBottom: '24px',
+                paddingLeft: '12px',
+                borderLeft: '3px solid #f87171',
+            });
+            const title = '[' + (SOURCE_LABELS[error.source] || error.source) + '] ' + (error.title || 'Error');
+            section.appendChild(createElement('div', { color: '#fca5a5', fontWeight: 'bold' }, title));
+
+            const location = formatLocation(error);
+            if (location) {
+                section.appendChild(createElement('div', { color: '#93c5fd' }, location));
+            }
+
+            section.appendChild(createElement('pre', { whiteSpace: 'pre-wrap', margin: '8px 0' }, error.message || ''));
+
+            if (error.snippet) {
+                section.appendChild(createElement('pre', {
+                    whiteSpace: 'pre',
+                    overflowX: 'auto',
+                    margin: '0',
+                    padding: '8px 12px',
+                    background: 'rgba(0, 0, 0, 0.35)',
+                    color: '#d4d4d8',
+                }, error.snippet));
+            }
+
+            overlay.appendChild(section);
+        });
+
+        document.body.appendChild(overlay);
+    }
+
+    function renderWhenReady() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', render, { once: true });
+            return;
+        }
+
+        render();
+    }
+
+    window.addEventListener('sidworks-hot:errors', function (event) {
+        errors.clear();
+        (event.detail.errors || []).forEach(function (error) {
+            errors.set(error.source, error);
+        });
+        renderWhenReady();
+    });
+
+    window.addEventListener('sidworks-hot:error', function (event) {
+        if (!event.detail.error) {
+            return;
+        }
+
+        errors.set(event.detail.error.source, event.detail.error);
+        dismissed = false;
+        renderWhenReady();
+    });
+
+    window.addEventListener('sidworks-hot:clear', function (event) {
+        errors.delete(event.detail.source);
+        renderWhenReady();
+    });
+})();
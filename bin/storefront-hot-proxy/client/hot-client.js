@@ -0,0 +1,34 @@
+(function () {
+    const config = window.__SIDWORKS_HOT__ || {};
+    if (!config.eventsUrl || typeof EventSource === 'undefined') {
+        return;
+    }
+
+    let source;
+    try {
+        source = new EventSource(config.eventsUrl);
+    } catch (_error) {
+        return;
+    }
+
+    source.onmessage = function (event) {
+        let payload;
+        try {
+            payload = JSON.parse(event.data || '{}');
+        } catch (_error) {
+            return;
+        }
+
+        if (!payload || typeof payload.type !== 'string') {
+            return;
+        }
+
+        window.dispatchEvent(new CustomEvent('sidworks-hot:' + payload.type, { detail: payload }));
+    };
+
+    // Hot reloads announce themselves so state restore only snapshots for them, never for a manual reload.
+    window.addEventListener('sidworks-hot:reload', function () {
+        window.dispatchEvent(new CustomEvent('sidworks-hot:before-reload'));
+        window.location.reload();
+    });
+})();
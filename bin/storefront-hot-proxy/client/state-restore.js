@@ -0,0 +1,230 @@
+(function () {
+    const STORAGE_KEY = 'sidworks-hot:state';
+    const MAX_SNAPSHOT_AGE_MS = 15000;
+    const RESTORE_DELAY_MS = 150;
+    const SKIPPED_INPUT_TYPES = ['password', 'file', 'hidden', 'submit', 'button', 'reset', 'image'];
+    const SKIPPED_FIELD_NAMES = ['_csrf_token'];
+    const OFFCANVAS_TRIGGERS = {
+        'cart-offcanvas': '[data-off-canvas-cart]',
+        'navigation-offcanvas': '[data-off-canvas-menu]',
+        'account-menu-offcanvas': '[data-offcanvas-account-menu]',
+    };
+
+    function isRestorableField(element) {
+        if (!element || !element.name || SKIPPED_FIELD_NAMES.includes(element.name)) {
+            return false;
+        }
+
+        if (element.tagName === 'INPUT') {
+            return !SKIPPED_INPUT_TYPES.includes(String(element.type).toLowerCase());
+        }
+
+        return element.tagName === 'SELECT' || element.tagName === 'TEXTAREA';
+    }
+
+    function describeField(element) {
+        if (element.id) {
+            return '#' + element.id;
+        }
+
+        const formIndex = element.form ? Array.prototype.indexOf.call(document.forms, element.form) : -1;
+        const scope = element.form || document;
+        const sameName = Array.prototype.filter.call(
+            scope.querySelectorAll('[name]'),
+            function (candidate) { return candidate.name === element.name; }
+        );
+
+        return 'form:' + formIndex + '|' + element.name + '|' + sameName.indexOf(element);
+    }
+
+    function findField(key) {
+        if (key.charAt(0) === '#') {
+            return document.getElementById(key.slice(1));
+        }
+
+        const parts = key.split('|');
+        const formIndex = Number(parts[0].slice('form:'.length));
+        const scope = formIndex >= 0 ? document.forms[formIndex] : document;
+        if (!scope) {
+            return null;
+        }
+
+        const sameName = Array.prototype.filter.call(
+            scope.querySelectorAll('[name]'),
+            function (candidate) { return candidate.name === parts[1]; }
+        );
+
+        return sameName[Number(parts[2])] || null;
+    }
+
+    function collectFields() {
+        const fields = [];
+
+        document.querySelectorAll('input, select, textarea').forEach(function (element) {
+            if (!isRestorableField(element)) {
+                return;
+            }
+
+            const isCheckable = element.type === 'checkbox' || element.type === 'radio';
+            if (!isCheckable && element.value === element.defaultValue && element.tagName !== 'SELECT') {
+                return;
+            }
+
+            fields.push({
+                key: describeField(element),
+                value: element.value,
+                checked: isCheckable ? element.checked : null,
+            });
+        });
+
+        return fields;
+    }
+
+    function collectOpenElements(selector) {
+        return Array.prototype.map.call(document.querySelectorAll(selector), function (element) {
+            return {
+                id: element.id || '',
+                classes: Array.prototype.slice.call(element.classList),
+            };
+        });
+    }
+
+    function resetScrollRestoration(state) {
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = state.scrollRestoration || 'auto';
+        }
+    }
+
+    function snapshot() {
+        const focused = document.activeElement;
+        const state = {
+            scrollRestoration: 'scrollRestoration' in window.history ? window.history.scrollRestoration : '',
+            url: window.location.href,
+            savedAt: Date.now(),
+            scrollX: window.scrollX,
+            scrollY: window.scrollY,
+            fields: collectFields(),
+            focused: isRestorableField(focused) ? describeField(focused) : '',
+            offcanvas: collectOpenElements('.offcanvas.show'),
+            modals: collectOpenElements('.modal.show'),
+        };
+
+        try {
+            window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (_error) {
+            return;
+        }
+
+        // Keeps the browser from scrolling the reloaded page before restore() does; reset once restored.
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+    }
+
+    function readSnapshot() {
+        let state = null;
+
+        try {
+            state = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY) || 'null');
+            window.sessionStorage.removeItem(STORAGE_KEY);
+        } catch (_error) {
+            return null;
+        }
+
+        const navigation = window.performance && performance.getEntriesByType
+            ? performance.getEntriesByType('navigation')[0]
+            : null;
+
+        if (!state) {
+            return null;
+        }
+
+        const isCurrent = state.url === window.location.href && Date.now() - state.savedAt <= MAX_SNAPSHOT_AGE_MS;
+        if (!isCurrent || (navigation && navigation.type !== 'reload')) {
+            resetScrollRestoration(state);
+            return null;
+        }
+
+        return state;
+    }
+
+    function restoreFields(fields) {
+        fields.forEach(function (field) {
+            const element = findField(field.key);
+            if (!element || !isRestorableField(element)) {
+                return;
+            }
+
+            if (field.checked !== null) {
+                element.checked = field.checked;
+            } else {
+                element.value = field.value;
+            }
+
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    function findTrigger(openElement) {
+        if (openElement.id) {
+            const trigger = document.querySelector('[data-bs-target="#' + openElement.id + '"], [href="#' + openElement.id + '"]');
+            if (trigger) {
+                return trigger;
+            }
+        }
+
+        for (const className of openElement.classes) {
+            if (OFFCANVAS_TRIGGERS[className]) {
+                return document.querySelector(OFFCANVAS_TRIGGERS[className]);
+            }
+        }
+
+        return null;
+    }
+
+    function reopenModal(openElement) {
+        const modal = openElement.id ? document.getElementById(openElement.id) : null;
+        if (modal && window.bootstrap && window.bootstrap.Modal) {
+            window.bootstrap.Modal.getOrCreateInstance(modal).show();
+            return;
+        }
+
+        const trigger = findTrigger(openElement);
+        if (trigger) {
+            trigger.click();
+        }
+    }
+
+    function restore(state) {
+        restoreFields(state.fields || []);
+        window.scrollTo(state.scrollX || 0, state.scrollY || 0);
+
+        (state.offcanvas || []).forEach(function (openElement) {
+            const trigger = findTrigger(openElement);
+            if (trigger) {
+                trigger.click();
+            }
+        });
+        (state.modals || []).forEach(reopenModal);
+
+        if (state.focused) {
+            const focused = findField(state.focused);
+            if (focused) {
+                focused.focus({ preventScroll: true });
+            }
+        }
+    }
+
+    const pendingState = readSnapshot();
+    if (pendingState) {
+        window.addEventListener('load', function () {
+            setTimeout(function () {
+                restore(pendingState);
+                resetScrollRestoration(pendingState);
+            }, RESTORE_DELAY_MS);
+        }, { once: true });
+    }
+
+    window.addEventListener('sidworks-hot:before-reload', snapshot);
+})();
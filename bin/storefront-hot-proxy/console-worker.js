@@ -0,0 +1,216 @@
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+const { createLogger } = require('./utils');
+
+const RESPONSE_PREFIX = 'SWDT_WORKER ';
+const WORKER_COMMANDS = new Set([
+    'lint:twig',
+    'sidworks:snippet-cache:invalidate',
+    'theme:refresh',
+    'theme:dump',
+    'theme:compile',
+    // The worker exits after cache:clear and cache:clear:all, so later commands see the new container.
+    'cache:clear',
+    'cache:clear:all',
+    'cache:flush:all',
+    'cache:pool:clear',
+]);
+const REQUEST_TIMEOUT_MS = 120000;
+const RESTART_DELAY_MS = 500;
+const MAX_CRASHES = 3;
+const CRASH_WINDOW_MS = 60000;
+
+/**
+ * Raised when the worker itself is unavailable, as opposed to a command that ran and failed.
+ * Callers fall back to a separate `php bin/console` process for these.
+ */
+class ConsoleWorkerUnavailableError extends Error {}
+
+function createConsoleWorker(projectRoot) {
+    const rootPath = path.resolve(projectRoot);
+    const binConsole = path.resolve(rootPath, 'bin/console');
+    const log = createLogger('PHP');
+    const state = {
+        child: null,
+        buffer: '',
+        nextId: 1,
+        pending: new Map(),
+        crashTimes: [],
+        restartTimer: null,
+        disabled: false,
+        closed: false,
+    };
+
+    function supports(commandParts) {
+        return !state.disabled && WORKER_COMMANDS.has(commandParts[0]);
+    }
+
+    function rejectPending(error) {
+        for (const request of state.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+        state.pending.clear();
+    }
+
+    function handleLine(line) {
+        if (!line.startsWith(RESPONSE_PREFIX)) {
+            return;
+        }
+
+        let response;
+        try {
+            response = JSON.parse(line.slice(RESPONSE_PREFIX.length));
+        } catch (_error) {
+            return;
+        }
+
+        const request = state.pending.get(response.id);
+        if (!request) {
+            return;
+        }
+
+        state.pending.delete(response.id);
+        clearTimeout(request.timer);
+
+        if (response.unsupported) {
+            request.reject(new ConsoleWorkerUnavailableError(response.output || 'command not supported by worker'));
+            return;
+        }
+
+        const stdout = String(response.output || '');
+        request.resolve({ exitCode: Number(response.exitCode) || 0, output: stdout + String(response.errorOutput || ''), stdout });
+    }
+
+    function handleExit(child, code, signal) {
+        if (state.child !== child) {
+            return;
+        }
+
+        state.child = null;
+        state.buffer = '';
+        rejectPending(new ConsoleWorkerUnavailableError(`console worker exited (${signal || code})`));
+
+        if (state.closed || state.disabled) {
+            return;
+        }
+
+        // A clean exit is the worker recycling itself after --max-commands; it is started again on demand.
+        if (code === 0) {
+            return;
+        }
+
+        const now = Date.now();
+        state.crashTimes = [...state.crashTimes.filter((time) => now - time < CRASH_WINDOW_MS), now];
+        if (state.crashTimes.length >= MAX_CRASHES) {
+            state.disabled = true;
+            log.status('ERR', `console worker crashed ${MAX_CRASHES} times, falling back to separate php processes`, true);
+            return;
+        }
+
+        log.status('WARN', `console worker exited (${signal || code}), restarting`);
+        state.restartTimer = setTimeout(() => {
+            state.restartTimer = null;
+            ensureStarted();
+        }, RESTART_DELAY_MS);
+    }
+
+    function ensureStarted() {
+        if (state.child || state.disabled || state.closed) {
+            return state.child;
+        }
+
+        const child = spawn('php', [binConsole, 'sidworks:console-worker', '--no-interaction'], {
+            cwd: rootPath,
+            env: process.env,
+            stdio: ['pipe', 'pipe', 'pipe'],
+        });
+
+        child.stdout.on('data', (chunk) => {
+            state.buffer += chunk.toString();
+
+            let newlineIndex = state.buffer.indexOf('\n');
+            while (newlineIndex !== -1) {
+                handleLine(state.buffer.slice(0, newlineIndex).trim());
+                state.buffer = state.buffer.slice(newlineIndex + 1);
+                newlineIndex = state.buffer.indexOf('\n');
+            }
+        });
+        // stderr carries PHP notices only; command output is returned through the protocol.
+        child.stderr.resume();
+        child.stdin.on('error', () => {});
+        child.on('error', (error) => {
+            state.disabled = true;
+            log.status('ERR', `console worker unavailable: ${error.message}`, true);
+            handleExit(child, 1, null);
+        });
+        child.on('exit', (code, signal) => handleExit(child, code, signal));
+
+        state.child = child;
+        return child;
+    }
+
+    /**
+     * Resolves with `{ exitCode, output, stdout }`; rejects with ConsoleWorkerUnavailableError when the worker cannot run it.
+     */
+    function run(commandParts) {
+        const child = ensureStarted();
+        if (!child) {
+            return Promise.reject(new ConsoleWorkerUnavailableError('console worker disabled'));
+        }
+
+        const id = state.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                state.pending.delete(id);
+                reject(new ConsoleWorkerUnavailableError(`console worker timed out after ${REQUEST_TIMEOUT_MS}ms`));
+                child.kill();
+            }, REQUEST_TIMEOUT_MS);
+
+            state.pending.set(id, { resolve, reject, timer });
+            child.stdin.write(`${JSON.stringify({ id, command: commandParts })}\n`);
+        });
+    }
+
+    /**
+     * Lets the current worker finish its queue and exit, so the next command boots a fresh kernel
+     * (needed after the container cache was cleared).
+     */
+    function recycle() {
+        if (state.child) {
+            state.child.stdin.end();
+        }
+    }
+
+    function close() {
+        state.closed = true;
+
+        if (state.restartTimer) {
+            clearTimeout(state.restartTimer);
+            state.restartTimer = null;
+        }
+
+        if (state.child) {
+            state.child.stdin.end();
+            state.child.kill();
+            state.child = null;
+        }
+
+        rejectPending(new ConsoleWorkerUnavailableError('console worker closed'));
+    }
+
+    return {
+        start: ensureStarted,
+        supports,
+        run,
+        recycle,
+        close,
+    };
+}
+
+module.exports = {
+    createConsoleWorker,
+    ConsoleWorkerUnavailableError,
+};
@@ -0,0 +1,184 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { createLogger } = require('./utils');
+
+const CONTROL_BASE_PATH = '/_sidworks_hot/control';
+const CONTROL_FILE = 'var/.sidworks-hot/control.json';
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Command name -> HTTP method. Commands that change something require POST.
+const CONTROL_COMMANDS = {
+    status: 'GET',
+    clients: 'GET',
+    reload: 'POST',
+    'recompile-scss': 'POST',
+    'flush-translation-cache': 'POST',
+    shutdown: 'POST',
+};
+
+function sendJson(res, statusCode, payload, headers = {}) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers,
+    });
+    res.end(`${JSON.stringify(payload, null, 2)}\n`);
+}
+
+function createAccessToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function tokenMatches(candidate, expectedValue) {
+    const expected = Buffer.from(expectedValue);
+    const actual = Buffer.from(String(candidate || ''));
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isAuthorized(req, token, allowQueryToken) {
+    if (tokenMatches(req.headers.authorization, `Bearer ${token}`)) {
+        return true;
+    }
+
+    if (!allowQueryToken) {
+        return false;
+    }
+
+    const queryToken = new URLSearchParams((req.url || '').split('?')[1] || '').get('token');
+    return tokenMatches(queryToken, token);
+}
+
+/**
+ * Answers with 403 or 401 and returns false unless the request carries the token and, with `options.loopbackOnly`
+ * (the default), comes from this machine.
+ * `options.allowQueryToken` also accepts `?token=` for pages opened in the browser, which cannot send headers;
+ * `options.tokenHint` tells the caller where to find the token.
+ */
+function authorizeRequest(req, res, token, options = {}) {
+    if (options.loopbackOnly !== false && !LOOPBACK_ADDRESSES.has(req.socket?.remoteAddress)) {
+        sendJson(res, 403, { ok: false, error: 'Only connections from this machine are accepted' });
+        return false;
+    }
+
+    if (!isAuthorized(req, token, Boolean(options.allowQueryToken))) {
+        sendJson(res, 401, { ok: false, error: `Missing or wrong token, ${options.tokenHint || `see ${CONTROL_FILE}`}` });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Loopback-only JSON API under /_sidworks_hot/control/<command> on the proxy ports, for editors, git hooks and
+ * `hot-control.js`. Requests need the bearer token from var/.sidworks-hot/control.json, so a page in the browser
+ * cannot trigger commands even though it runs on the same machine.
+ *
+ * `handlers` maps every command of CONTROL_COMMANDS to `{ run, afterResponse }`; `run` resolves with the fields
+ * of the JSON response, `afterResponse` runs once the response has been sent (shutdown).
+ */
+function createControlEndpoint(projectRoot, handlers) {
+    const controlFilePath = path.resolve(projectRoot, CONTROL_FILE);
+    const token = createAccessToken();
+    const log = createLogger('CONTROL');
+
+    for (const command of Object.keys(CONTROL_COMMANDS)) {
+        if (typeof handlers[command]?.run !== 'function') {
+            throw new Error(`Missing control handler for ${command}`);
+        }
+    }
+
+    function runCommand(command, res) {
+        const handler = handlers[command];
+        if (CONTROL_COMMANDS[command] === 'POST') {
+            log.log(`${command} requested`);
+        }
+
+        Promise.resolve()
+            .then(() => handler.run())
+            .then((result) => {
+                if (typeof handler.afterResponse === 'function') {
+                    res.once('finish', handler.afterResponse);
+                }
+
+                sendJson(res, 200, { ok: true, command, ...result });
+            })
+            .catch((error) => {
+                log.status('ERR', `${command} failed: ${error?.message || error}`, true);
+                sendJson(res, 500, { ok: false, command, error: error?.message || String(error) });
+            });
+    }
+
+    function handleInternalRequest(req, res) {
+        const requestPath = (req.url || '').split('?')[0];
+        if (requestPath !== CONTROL_BASE_PATH && !requestPath.startsWith(`${CONTROL_BASE_PATH}/`)) {
+            return false;
+        }
+
+        if (!authorizeRequest(req, res, token)) {
+            return true;
+        }
+
+        const command = requestPath.slice(CONTROL_BASE_PATH.length + 1);
+        if (command === '') {
+            sendJson(res, 200, { ok: true, commands: CONTROL_COMMANDS });
+            return true;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(CONTROL_COMMANDS, command)) {
+            sendJson(res, 404, { ok: false, error: `Unknown command ${command}`, commands: CONTROL_COMMANDS });
+            return true;
+        }
+
+        if (req.method !== CONTROL_COMMANDS[command]) {
+            sendJson(res, 405, { ok: false, error: `${command} requires ${CONTROL_COMMANDS[command]}` }, {
+                Allow: CONTROL_COMMANDS[command],
+            });
+            return true;
+        }
+
+        runCommand(command, res);
+        return true;
+    }
+
+    /**
+     * Writes the URL and token for clients; `url` is the origin of the primary proxy port.
+     */
+    function publish(url) {
+        try {
+            fs.mkdirSync(path.dirname(controlFilePath), { recursive: true });
+            fs.writeFileSync(controlFilePath, `${JSON.stringify({ pid: process.pid, url, token }, null, 2)}\n`, { mode: 0o600 });
+        } catch (error) {
+            log.status('WARN', `unable to write ${CONTROL_FILE}, control endpoint unavailable: ${error.message}`);
+        }
+    }
+
+    function close() {
+        try {
+            const published = JSON.parse(fs.readFileSync(controlFilePath, 'utf8'));
+            // A second watcher may have replaced the file; only remove our own.
+            if (published.pid === process.pid) {
+                fs.unlinkSync(controlFilePath);
+            }
+        } catch (_error) {
+            // nothing published
+        }
+    }
+
+    return {
+        handleInternalRequest,
+        publish,
+        close,
+    };
+}
+
+module.exports = {
+    CONTROL_BASE_PATH,
+    CONTROL_COMMANDS,
+    CONTROL_FILE,
+    authorizeRequest,
+    createAccessToken,
+    createControlEndpoint,
+};
@@ -0,0 +1,167 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { authorizeRequest, createAccessToken } = require('./control-endpoint');
+const { addLogListener } = require('./utils');
+
+const DASHBOARD_ROUTE = '/_sidworks_hot/dashboard';
+const DASHBOARD_EVENTS_ROUTE = `${DASHBOARD_ROUTE}/events`;
+const MAX_RECENT_EVENTS = 200;
+const SNAPSHOT_INTERVAL_MS = 2000;
+
+/**
+ * Status page of the running watcher. Log records are pushed to open dashboards as they happen; the state returned
+ * by `options.getSnapshot()` is sent on connect and again whenever it changed (checked every SNAPSHOT_INTERVAL_MS).
+ *
+ * Settings, paths and log lines are not for the network the proxy listens on: both routes only answer requests
+ * with the per-start token, passed as `?token=` (see `getPath()`). Unlike the control endpoint they also answer
+ * other addresses, so a browser on the host reaches a watcher running in a container.
+ */
+function createDashboard(options = {}) {
+    const getSnapshot = typeof options.getSnapshot === 'function' ? options.getSnapshot : () => ({});
+    const page = fs.readFileSync(path.resolve(__dirname, 'client/dashboard.html'), 'utf8');
+    const token = createAccessToken();
+    const state = {
+        subscribers: new Set(),
+        recentEvents: [],
+        lastSnapshot: '',
+        snapshotTimer: null,
+        removeListener: null,
+    };
+
+    function send(subscriber, payload) {
+        try {
+            subscriber.write(`data: ${payload}\n\n`);
+        } catch (_error) {
+            state.subscribers.delete(subscriber);
+        }
+    }
+
+    function broadcast(payload) {
+        const serialized = JSON.stringify(payload);
+        for (const subscriber of state.subscribers) {
+            send(subscriber, serialized);
+        }
+    }
+
+    function handleLogRecord(record) {
+        state.recentEvents.push(record);
+        if (state.recentEvents.length > MAX_RECENT_EVENTS) {
+            state.recentEvents.shift();
+        }
+
+        broadcast({ type: 'log', record });
+    }
+
+    function createSnapshot() {
+        try {
+            return { ...getSnapshot(), dashboards: state.subscribers.size };
+        } catch (error) {
+            return { snapshotError: error.message };
+        }
+    }
+
+    function broadcastSnapshotIfChanged() {
+        const snapshot = JSON.stringify(createSnapshot());
+        if (snapshot === state.lastSnapshot) {
+            return;
+        }
+
+        state.lastSnapshot = snapshot;
+        broadcast({ type: 'snapshot', snapshot: JSON.parse(snapshot) });
+    }
+
+    function subscribe(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            Connection: 'keep-alive',
+        });
+
+        state.subscribers.add(res);
+        state.lastSnapshot = '';
+        send(res, JSON.stringify({ type: 'events', events: state.recentEvents }));
+        broadcastSnapshotIfChanged();
+
+        if (!state.snapshotTimer) {
+            state.snapshotTimer = setInterval(broadcastSnapshotIfChanged, SNAPSHOT_INTERVAL_MS);
+        }
+
+        req.on('close', () => {
+            state.subscribers.delete(res);
+            if (state.subscribers.size === 0 && state.snapshotTimer) {
+                clearInterval(state.snapshotTimer);
+                state.snapshotTimer = null;
+            }
+        });
+    }
+
+    function handleInternalRequest(req, res) {
+        const requestPath = (req.url || '').split('?')[0];
+        if (requestPath !== DASHBOARD_ROUTE && requestPath !== DASHBOARD_EVENTS_ROUTE) {
+            return false;
+        }
+
+        if (!authorizeRequest(req, res, token, {
+            allowQueryToken: true,
+            loopbackOnly: false,
+            tokenHint: 'open the dashboard link printed at startup',
+        })) {
+            return true;
+        }
+
+        if (requestPath === DASHBOARD_ROUTE) {
+            res.writeHead(200, {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Cache-Control': 'no-cache, no-store, must-revalidate',
+            });
+            res.end(page);
+            return true;
+        }
+
+        subscribe(req, res);
+        return true;
+    }
+
+    function getPath() {
+        return `${DASHBOARD_ROUTE}?token=${token}`;
+    }
+
+    function start() {
+        if (!state.removeListener) {
+            state.removeListener = addLogListener(handleLogRecord);
+        }
+    }
+
+    function close() {
+        if (state.removeListener) {
+            state.removeListener();
+            state.removeListener = null;
+        }
+
+        if (state.snapshotTimer) {
+            clearInterval(state.snapshotTimer);
+            state.snapshotTimer = null;
+        }
+
+        for (const subscriber of state.subscribers) {
+            try {
+                subscriber.end();
+            } catch (_error) {
+                // no-op
+            }
+        }
+        state.subscribers.clear();
+    }
+
+    return {
+        start,
+        handleInternalRequest,
+        getPath,
+        close,
+    };
+}
+
+module.exports = {
+    createDashboard,
+};
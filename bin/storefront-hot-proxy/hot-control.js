@@ -0,0 +1,115 @@
+/* eslint no-console: 0 */
+
+/**
+ * Sends a command to the running hot proxy and prints its JSON response:
+ *
+ *   node bin/storefront-hot-proxy/hot-control.js <status|clients|reload|recompile-scss|flush-translation-cache|shutdown>
+ *
+ * Exits with 1 for an unknown or failed command and with 2 when no watcher is running or no project root is found.
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const path = require('node:path');
+
+const { resolveProjectRoot } = require('./runtime-paths');
+const { CONTROL_BASE_PATH, CONTROL_COMMANDS, CONTROL_FILE } = require('./control-endpoint');
+
+const REQUEST_TIMEOUT_MS = 120000;
+
+function printUsage() {
+    console.log(`Usage: node bin/storefront-hot-proxy/hot-control.js <${Object.keys(CONTROL_COMMANDS).join('|')}>`);
+}
+
+function readControlFile(projectRoot) {
+    let published;
+    try {
+        published = JSON.parse(fs.readFileSync(path.resolve(projectRoot, CONTROL_FILE), 'utf8'));
+    } catch (_error) {
+        return null;
+    }
+
+    try {
+        process.kill(published.pid, 0);
+    } catch (error) {
+        // EPERM: the watcher runs as another user but is alive.
+        if (error.code !== 'EPERM') {
+            return null;
+        }
+    }
+
+    return published;
+}
+
+function sendCommand(published, command) {
+    const url = new URL(`${CONTROL_BASE_PATH}/${command}`, published.url);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method: CONTROL_COMMANDS[command],
+            headers: { Authorization: `Bearer ${published.token}` },
+            // The proxy certificate is issued for the shop domain, not for 127.0.0.1.
+            rejectUnauthorized: false,
+            timeout: REQUEST_TIMEOUT_MS,
+        }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (_error) {
+                    reject(new Error(`Unexpected response (${res.statusCode}): ${body.slice(0, 200)}`));
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`No response within ${REQUEST_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+async function main() {
+    const [command] = process.argv.slice(2);
+    if (!command || command === '--help' || command === '-h') {
+        printUsage();
+        return 0;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(CONTROL_COMMANDS, command)) {
+        console.error(`Unknown command ${command}`);
+        printUsage();
+        return 1;
+    }
+
+    let published;
+    try {
+        published = readControlFile(resolveProjectRoot(process.cwd()));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    if (!published) {
+        console.error('No running storefront watcher found. Start it with bin/console sidworks:watch-storefront.');
+        return 2;
+    }
+
+    try {
+        const response = await sendCommand(published, command);
+        console.log(JSON.stringify(response, null, 2));
+        return response.ok ? 0 : 1;
+    } catch (error) {
+        console.error(`Unable to reach the watcher at ${published.url}: ${error.message}`);
+        return 2;
+    }
+}
+
+main().then((exitCode) => {
+    process.exitCode = exitCode;
+});
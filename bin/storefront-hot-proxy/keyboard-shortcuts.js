@@ -0,0 +1,99 @@
+const { ANSI, colorize, createLogger } = require('./utils');
+
+const CTRL_C = '\u0003';
+
+/**
+ * Single-key commands on the watcher's terminal. `shortcuts` is a list of `{ key, description, run }`;
+ * `h` (help) is added here. Raw mode swallows Ctrl+C, so it calls `options.onExit` instead of raising SIGINT.
+ */
+function createKeyboardShortcuts(shortcuts, options = {}) {
+    const input = options.input || process.stdin;
+    const onExit = typeof options.onExit === 'function' ? options.onExit : () => process.exit(130);
+    const log = createLogger('KEYS');
+    const shortcutsByKey = new Map(shortcuts.map((shortcut) => [shortcut.key, shortcut]));
+    const state = {
+        active: false,
+        running: new Set(),
+    };
+
+    shortcutsByKey.set('h', { key: 'h', description: 'show this help', run: printHelp });
+
+    function printHelp() {
+        const lines = [...shortcutsByKey.values()].map((shortcut) => `  ${colorize(shortcut.key, ANSI.cyan)}  ${shortcut.description}`);
+        lines.push(`  ${colorize('Ctrl+C', ANSI.cyan)}  stop the watcher`);
+
+        log.log(`${colorize('Keyboard shortcuts', ANSI.green)}\n${lines.join('\n')}`);
+    }
+
+    function handleKey(key) {
+        if (key === CTRL_C) {
+            close();
+            onExit();
+            return;
+        }
+
+        const shortcut = shortcutsByKey.get(key.toLowerCase());
+        if (!shortcut || state.running.has(shortcut.key)) {
+            return;
+        }
+
+        // A slow command (cache flush) ignores repeated presses of its key until it is done.
+        state.running.add(shortcut.key);
+        Promise.resolve()
+            .then(() => shortcut.run())
+            .catch((error) => {
+                log.status('ERR', `${shortcut.description} failed: ${error?.message || error}`, true);
+            })
+            .finally(() => {
+                state.running.delete(shortcut.key);
+            });
+    }
+
+    function handleData(chunk) {
+        for (const key of String(chunk)) {
+            handleKey(key);
+        }
+    }
+
+    /**
+     * Returns false without a TTY on stdin (IDE task runners, CI, piped input).
+     */
+    function start() {
+        if (state.active) {
+            return true;
+        }
+
+        if (!input.isTTY || typeof input.setRawMode !== 'function') {
+            return false;
+        }
+
+        input.setRawMode(true);
+        input.setEncoding('utf8');
+        input.on('data', handleData);
+        input.resume();
+        state.active = true;
+
+        return true;
+    }
+
+    function close() {
+        if (!state.active) {
+            return;
+        }
+
+        state.active = false;
+        input.off('data', handleData);
+        input.setRawMode(false);
+        input.pause();
+    }
+
+    return {
+        start,
+        close,
+        printHelp,
+    };
+}
+
+module.exports = {
+    createKeyboardShortcuts,
+};
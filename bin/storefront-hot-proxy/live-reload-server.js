@@ -2,6 +2,7 @@
 
 const path = require('node:path');
 const loadPatchedWebpackConfig = require('./patch-webpack-config');
+const { loadSettings } = require('./settings');
 const {
     resolveProjectRoot,
     createStorefrontRequire,
@@ -11,21 +12,25 @@ const {
     colorize,
     formatFilePath,
     summarizeFiles,
+    readSourceSnippet,
     createLogger,
 } = require('./utils');
 
 const jsLog = createLogger('JS');
 
-module.exports = function createLiveReloadServer(sslOptions) {
+module.exports = function createLiveReloadServer(sslOptions, options = {}) {
     return new Promise((resolve, reject) => {
         const projectRoot = resolveProjectRoot(__dirname);
         const storefrontRequire = createStorefrontRequire(projectRoot);
         const webpack = storefrontRequire('webpack');
         const WebpackDevServer = storefrontRequire('webpack-dev-server');
-        const verboseWebpackOutput = process.env.SHOPWARE_STOREFRONT_VERBOSE_WEBPACK === '1';
-        const jsCompileFeedbackEnabled = process.env.SHOPWARE_STOREFRONT_JS_COMPILE_FEEDBACK !== '0';
+        const settings = options.settings || loadSettings(projectRoot);
+        const verboseWebpackOutput = settings.verboseWebpack;
+        const jsCompileFeedbackEnabled = settings.jsCompileFeedback;
+        // JSON log records carry the compile errors; webpack's own stats output would break the NDJSON stream.
+        const quietStats = settings.logFormat === 'json' && jsCompileFeedbackEnabled ? 'none' : 'errors-only';
 
-        const webpackConfig = loadPatchedWebpackConfig(projectRoot);
+        const webpackConfig = loadPatchedWebpackConfig(projectRoot, { settings, poll: options.poll });
         const compiler = webpack(webpackConfig);
         const coreWebpackConfig = Array.isArray(webpackConfig) ? webpackConfig[0] : webpackConfig;
 
@@ -33,6 +38,10 @@ module.exports = function createLiveReloadServer(sslOptions) {
             attachCompileFeedback(compiler, projectRoot);
         }
 
+        if (typeof options.onFeedback === 'function') {
+            attachErrorFeedback(compiler, projectRoot, options.onFeedback);
+        }
+
         let serverConfig = { type: 'http' };
         if (Object.keys(sslOptions).length !== 0) {
             serverConfig = { type: 'https', options: sslOptions };
@@ -49,7 +58,7 @@ module.exports = function createLiveReloadServer(sslOptions) {
             },
             devMiddleware: {
                 ...(baseDevServer.devMiddleware || {}),
-                stats: verboseWebpackOutput ? { colors: true } : 'errors-only',
+                stats: verboseWebpackOutput ? { colors: true } : quietStats,
             },
         };
 
@@ -123,12 +132,14 @@ function attachCompileFeedback(compiler, projectRoot) {
         }
 
         const duration = getCompileDurationMs(stats, state.startedAt);
+        const details = { durationMs: duration, files: [...state.pendingChangedFiles] };
         if (stats?.hasErrors && stats.hasErrors()) {
             const errorMessage = summarizeFirstError(stats);
             const suffix = errorMessage ? `: ${errorMessage}` : '';
-            jsLog.status('ERR', `compile failed (${state.activeReasonLabel}) after ${duration}ms${suffix}`, true);
+            details.error = describeFirstError(stats, projectRoot);
+            jsLog.status('ERR', `compile failed (${state.activeReasonLabel}) after ${duration}ms${suffix}`, true, details);
         } else {
-            jsLog.status('OK', `compiled (${state.activeReasonLabel}) in ${duration}ms`);
+            jsLog.status('OK', `compiled (${state.activeReasonLabel}) in ${duration}ms`, false, details);
         }
 
         state.compileInFlight = false;
@@ -151,21 +162,60 @@ function getCompileDurationMs(stats, startedAt) {
     return 0;
 }
 
-function summarizeFirstError(stats) {
+function attachErrorFeedback(compiler, projectRoot, onFeedback) {
+    compiler.hooks.done.tap('SidworksErrorFeedback', (stats) => {
+        if (!stats?.hasErrors || !stats.hasErrors()) {
+            onFeedback({ source: 'js', ok: true });
+            return;
+        }
+
+        onFeedback({ source: 'js', ok: false, error: describeFirstError(stats, projectRoot) });
+    });
+}
+
+function getFirstError(stats) {
     try {
         const json = stats.toJson({
             all: false,
             errors: true,
             errorDetails: false,
         });
-        const firstError = Array.isArray(json?.errors) ? json.errors[0] : null;
-        if (!firstError) {
-            return '';
-        }
 
-        const message = typeof firstError === 'string' ? firstError : (firstError.message || '');
-        return String(message).replace(/\s+/g, ' ').trim().slice(0, 220);
+        return Array.isArray(json?.errors) ? json.errors[0] || null : null;
     } catch (_error) {
+        return null;
+    }
+}
+
+function summarizeFirstError(stats) {
+    const firstError = getFirstError(stats);
+    if (!firstError) {
         return '';
     }
+
+    const message = typeof firstError === 'string' ? firstError : (firstError.message || '');
+    return String(message).replace(/\s+/g, ' ').trim().slice(0, 220);
+}
+
+function describeFirstError(stats, projectRoot) {
+    const firstError = getFirstError(stats);
+    if (!firstError || typeof firstError === 'string') {
+        return { title: 'JS compile failed', message: firstError || 'Unknown webpack error' };
+    }
+
+    const moduleIdentifier = String(firstError.moduleIdentifier || '');
+    const modulePath = moduleIdentifier.split('!').pop();
+    const filePath = path.isAbsolute(modulePath) ? modulePath : '';
+    const locationMatch = String(firstError.loc || '').match(/^(\d+):(\d+)/);
+    const line = locationMatch ? Number(locationMatch[1]) : 0;
+    const column = locationMatch ? Number(locationMatch[2]) + 1 : 0;
+
+    return {
+        title: 'JS compile failed',
+        message: String(firstError.message || ''),
+        file: filePath ? formatFilePath(filePath, projectRoot) : String(firstError.moduleName || ''),
+        line,
+        column,
+        snippet: readSourceSnippet(filePath, line, column),
+    };
 }
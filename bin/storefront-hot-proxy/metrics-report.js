@@ -0,0 +1,173 @@
+/* eslint no-console: 0 */
+
+/**
+ * Compares build times of recorded watcher sessions:
+ *
+ *   node bin/storefront-hot-proxy/metrics-report.js [--last <n>] [<session-id> ...]
+ *
+ * Without session ids the last 5 sessions that recorded builds are compared. Exits with 1 for invalid arguments
+ * and with 2 when no project root is found.
+ */
+
+const path = require('node:path');
+
+const { resolveProjectRoot } = require('./runtime-paths');
+const {
+    METRICS_DIRECTORY,
+    readMetricsSessions,
+    summarizeBuildEvents,
+    formatTable,
+    formatDuration,
+} = require('./build-metrics');
+
+const DEFAULT_SESSION_COUNT = 5;
+
+function parseArguments(argv) {
+    const options = { last: DEFAULT_SESSION_COUNT, ids: [] };
+
+    for (let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+        if (argument === '--last') {
+            options.last = Number.parseInt(argv[++index], 10);
+            if (!Number.isInteger(options.last) || options.last < 1) {
+                throw new Error('--last expects a positive number');
+            }
+        } else if (argument === '--help' || argument === '-h') {
+            options.help = true;
+        } else if (argument.startsWith('-')) {
+            throw new Error(`Unknown option ${argument}`);
+        } else {
+            options.ids.push(argument.replace(/\.ndjson$/, ''));
+        }
+    }
+
+    return options;
+}
+
+function selectSessions(sessions, options) {
+    if (options.ids.length === 0) {
+        return sessions.filter((entry) => entry.events.length > 0).slice(-options.last);
+    }
+
+    return options.ids.map((id) => {
+        const matches = sessions.filter((entry) => entry.id.startsWith(id));
+        if (matches.length !== 1) {
+            throw new Error(matches.length === 0 ? `No session ${id}` : `Session ${id} is ambiguous, use more characters`);
+        }
+
+        return matches[0];
+    });
+}
+
+/**
+ * Returns `key=value` labels for the settings that are not the same in every selected session.
+ */
+function describeDifferences(entries) {
+    const values = entries.map((entry) => ({
+        ...(entry.session?.settings || {}),
+        poll: entry.session?.poll ? `${entry.session.poll}ms` : 'off',
+        node: entry.session?.node || '?',
+    }));
+    const keys = [...new Set(values.flatMap((value) => Object.keys(value)))];
+    const differingKeys = keys.filter((key) => new Set(values.map((value) => JSON.stringify(value[key]))).size > 1);
+
+    return values.map((value) => differingKeys.map((key) => `${key}=${value[key] ?? '-'}`).join(' '));
+}
+
+function formatChange(baseline, value) {
+    if (!baseline || baseline === value) {
+        return '';
+    }
+
+    const change = Math.round(((value - baseline) / baseline) * 100);
+    return `${change > 0 ? '+' : ''}${change}%`;
+}
+
+function printReport(entries) {
+    const differences = describeDifferences(entries);
+
+    console.log('Sessions');
+    console.log(formatTable(entries.map((entry, index) => [
+        `  #${index + 1}`,
+        entry.id,
+        `${entry.events.length} builds`,
+        differences[index] || (entries.length > 1 ? 'same settings' : ''),
+    ])).join('\n'));
+
+    const summaries = entries.map((entry) => summarizeBuildEvents(entry.events));
+    const subsystems = [...new Set(summaries.flatMap((rows) => rows.map((row) => row.subsystem)))].sort();
+
+    for (const subsystem of subsystems) {
+        const lines = [['', 'builds', 'failed', 'p50', 'p95', 'max', 'p50 vs prev']];
+        let previous = null;
+
+        summaries.forEach((rows, index) => {
+            const row = rows.find((candidate) => candidate.subsystem === subsystem);
+            if (!row) {
+                lines.push([`  #${index + 1}`, '-', '-', '-', '-', '-', '']);
+                previous = null;
+                return;
+            }
+
+            lines.push([
+                `  #${index + 1}`,
+                row.builds,
+                row.failures,
+                formatDuration(row.p50),
+                formatDuration(row.p95),
+                formatDuration(row.max),
+                previous ? formatChange(previous.p50, row.p50) : '',
+            ]);
+            previous = row;
+        });
+
+        console.log('');
+        console.log(subsystem);
+        console.log(formatTable(lines).join('\n'));
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+
+    if (options.help) {
+        console.log('Usage: node bin/storefront-hot-proxy/metrics-report.js [--last <n>] [<session-id> ...]');
+        return 0;
+    }
+
+    let projectRoot;
+    try {
+        projectRoot = resolveProjectRoot(process.cwd());
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const sessions = readMetricsSessions(projectRoot);
+    const metricsDirectory = path.join(path.relative(process.cwd(), projectRoot) || '.', METRICS_DIRECTORY);
+
+    let entries;
+    try {
+        entries = selectSessions(sessions, options);
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+
+    if (entries.length === 0) {
+        console.log(`No recorded builds in ${metricsDirectory}. Run the storefront watcher and change a file first.`);
+        return 0;
+    }
+
+    printReport(entries);
+
+    return 0;
+}
+
+process.exitCode = main();
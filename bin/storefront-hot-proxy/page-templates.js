@@ -0,0 +1,113 @@
+const crypto = require('node:crypto');
+const path = require('node:path');
+
+const TEMPLATE_MARKER_PATTERN = /<!-- SWDT_START\[[^\]]*\]\|[^|]*\|[^|]*\|([^|]*)\|/g;
+const DEFAULT_MAX_PAGES = 500;
+
+function normalizeTemplatePath(filePath) {
+    return String(filePath || '')
+        .replace(/&amp;/g, '&')
+        .replace(/\\/g, '/');
+}
+
+function createPageTemplateRegistry(projectRoot, options = {}) {
+    const rootPath = path.resolve(projectRoot);
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    // Insertion ordered, so the oldest page is dropped first once the limit is reached.
+    const pages = new Map();
+    // Every template seen in any page, including pages dropped since.
+    const knownTemplates = new Set();
+
+    function createPage(requestedPageId = '') {
+        const pageId = /^[a-f0-9]{16}$/.test(requestedPageId)
+            ? requestedPageId
+            : crypto.randomBytes(8).toString('hex');
+
+        pages.delete(pageId);
+        pages.set(pageId, new Set());
+
+        while (pages.size > maxPages) {
+            pages.delete(pages.keys().next().value);
+        }
+
+        return pageId;
+    }
+
+    function createCollector(pageId) {
+        return {
+            transform: (segment) => {
+                const templates = pages.get(pageId);
+                if (!templates) {
+                    return segment;
+                }
+
+                for (const match of segment.matchAll(TEMPLATE_MARKER_PATTERN)) {
+                    if (match[1]) {
+                        const templatePath = normalizeTemplatePath(match[1]);
+                        templates.add(templatePath);
+                        knownTemplates.add(templatePath);
+                    }
+                }
+
+                return segment;
+            },
+        };
+    }
+
+    function toRelativePath(filePath) {
+        const absolutePath = path.resolve(filePath);
+        if (!absolutePath.startsWith(rootPath + path.sep)) {
+            return '';
+        }
+
+        return path.relative(rootPath, absolutePath).replace(/\\/g, '/');
+    }
+
+    // Marker paths come from PHP and may use a different mount point (e.g. inside a container),
+    // so a project-relative suffix match is accepted as well.
+    function templateMatchesFile(templatePath, filePath, relativePath) {
+        if (templatePath === normalizeTemplatePath(filePath)) {
+            return true;
+        }
+
+        return relativePath !== '' && templatePath.endsWith(`/${relativePath}`);
+    }
+
+    function containsFile(templates, filePath, relativePath) {
+        for (const templatePath of templates) {
+            if (templateMatchesFile(templatePath, filePath, relativePath)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Unknown pages and pages rendered without SWDT markers (DevTools plugin disabled) always match,
+     * because there is no way to tell which templates they used. The same goes for files that never showed up
+     * in any page: templates without blocks and markers stripped from attributes leave no trace.
+     */
+    function pageUsesAnyFile(pageId, filePaths) {
+        const templates = pages.get(pageId);
+        if (!templates || templates.size === 0) {
+            return true;
+        }
+
+        return filePaths.some((filePath) => {
+            const relativePath = toRelativePath(filePath);
+
+            return !containsFile(knownTemplates, filePath, relativePath) || containsFile(templates, filePath, relativePath);
+        });
+    }
+
+    return {
+        createPage,
+        createCollector,
+        pageUsesAnyFile,
+    };
+}
+
+module.exports = {
+    createPageTemplateRegistry,
+};
@@ -7,11 +7,9 @@ const {
     resolveStorefrontApp,
     createStorefrontRequire,
 } = require('./runtime-paths');
-const {
-    asBoolean,
-    asString,
-    getSassDeprecationsToSilence,
-} = require('./utils');
+const { getSassDeprecationsToSilence } = require('./utils');
+const { resolveWatchConfig } = require('./watch-config');
+const { loadSettings } = require('./settings');
 
 function toArray(value) {
     if (Array.isArray(value)) {
@@ -25,8 +23,8 @@ function toArray(value) {
     return [value];
 }
 
-function resolveWebSocketHostname() {
-    const sourceUrl = process.env.PROXY_URL || process.env.APP_URL || '';
+function resolveWebSocketHostname(proxyUrl) {
+    const sourceUrl = proxyUrl || process.env.APP_URL || '';
 
     if (!sourceUrl) {
         return 'localhost';
@@ -151,36 +149,13 @@ function patchScssRule(scssRule, options) {
     scssRule.use = patchedUse;
 }
 
-function patchWatchFiles(coreConfig, options) {
-    if (!coreConfig.devServer) {
-        return;
-    }
-
-    const defaultIgnored = [
-        '**/.git/**',
-        '**/node_modules/**',
-        '**/public/theme/**',
-        '**/var/cache/**',
-    ];
-
-    if (!coreConfig.devServer.watchFiles) {
-        coreConfig.devServer.watchFiles = { options: {} };
-    }
-
-    const watchFiles = coreConfig.devServer.watchFiles;
-    watchFiles.options = watchFiles.options || {};
-
-    if (options.twigWatchMode === 'narrow') {
-        watchFiles.paths = [
-            'custom/plugins/**/src/Resources/views/**/*.twig',
-            'custom/apps/**/Resources/views/**/*.twig',
-            'src/Resources/views/**/*.twig',
-            'templates/**/*.twig',
-            'vendor/shopware/storefront/Resources/views/**/*.twig',
-        ];
+function patchWatchIgnored(configArray, ignored) {
+    for (const config of configArray) {
+        if (config && typeof config === 'object') {
+            config.watchOptions = config.watchOptions || {};
+            config.watchOptions.ignored = [...new Set([...toArray(config.watchOptions.ignored), ...ignored])];
+        }
     }
-
-    watchFiles.options.ignored = [...new Set([...toArray(watchFiles.options.ignored), ...defaultIgnored])];
 }
 
 function patchScssSidecarWatchBehavior(configArray) {
@@ -211,6 +186,21 @@ function patchScssSidecarWatchBehavior(configArray) {
     }
 }
 
+function patchWatchPolling(configArray, interval) {
+    for (const config of configArray) {
+        if (!config || typeof config !== 'object') {
+            continue;
+        }
+
+        config.watchOptions = { ...(config.watchOptions || {}), poll: interval };
+
+        const watchFiles = config.devServer?.watchFiles;
+        if (watchFiles && typeof watchFiles === 'object' && !Array.isArray(watchFiles)) {
+            watchFiles.options = { ...(watchFiles.options || {}), usePolling: true, interval };
+        }
+    }
+}
+
 function walkRules(rules, callback) {
     if (!Array.isArray(rules)) {
         return;
@@ -268,31 +258,35 @@ function stripWebpackBarPlugins(configArray) {
     }
 }
 
-function loadPatchedWebpackConfig(explicitProjectRoot) {
+/**
+ * `options.settings` is the resolved settings object (see settings.js), loaded here when omitted.
+ * `options.poll` switches webpack's file watchers to polling with the given interval in ms.
+ */
+function loadPatchedWebpackConfig(explicitProjectRoot, options = {}) {
     const projectRoot = explicitProjectRoot || resolveProjectRoot(__dirname);
     const storefrontApp = resolveStorefrontApp(projectRoot);
     const storefrontRequire = createStorefrontRequire(projectRoot);
     const runtimeRequire = createRequire(__filename);
     const coreWebpackConfigPath = path.resolve(storefrontApp, 'webpack.config.js');
 
-    const useSassEmbedded = asBoolean(process.env.SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED, true);
-    const devCacheEnabled = asBoolean(process.env.SHOPWARE_STOREFRONT_DEV_CACHE, true);
-    const jsSourceMapEnabled = asBoolean(process.env.SHOPWARE_STOREFRONT_JS_SOURCE_MAP, false);
-    const scssSourceMapEnabled = asBoolean(process.env.SHOPWARE_STOREFRONT_SCSS_SOURCE_MAP, false);
-    const skipPostCss = asBoolean(process.env.SHOPWARE_STOREFRONT_SKIP_POSTCSS, false);
-    const silenceSassDeprecations = asBoolean(process.env.SHOPWARE_STOREFRONT_SASS_SILENCE_DEPRECATIONS, true);
-    const disableJs = asBoolean(process.env.SHOPWARE_STOREFRONT_DISABLE_JS, false);
-    const disableTwig = asBoolean(process.env.SHOPWARE_STOREFRONT_DISABLE_TWIG, false);
-    const disableScss = asBoolean(process.env.SHOPWARE_STOREFRONT_DISABLE_SCSS, false);
-    const verboseWebpackOutput = asBoolean(process.env.SHOPWARE_STOREFRONT_VERBOSE_WEBPACK, false);
-    const coreOnlyHotMode = asBoolean(process.env.SHOPWARE_STOREFRONT_HOT_CORE_ONLY, false) || disableJs;
-    const scssEngine = asString(process.env.SHOPWARE_STOREFRONT_SCSS_ENGINE, 'webpack').toLowerCase();
+    const settings = options.settings || loadSettings(projectRoot);
+
+    const useSassEmbedded = settings.useSassEmbedded;
+    const devCacheEnabled = settings.devCache;
+    const jsSourceMapEnabled = settings.jsSourceMap;
+    const scssSourceMapEnabled = settings.scssSourceMap;
+    const skipPostCss = settings.skipPostCss;
+    const silenceSassDeprecations = settings.sassSilenceDeprecations;
+    const disableJs = settings.disableJs;
+    const disableScss = settings.disableScss;
+    const verboseWebpackOutput = settings.verboseWebpack;
+    const coreOnlyHotMode = settings.hotCoreOnly || disableJs;
+    const scssEngine = settings.scssEngine;
     const useScssSidecar = !disableScss && scssEngine === 'sass-cli';
-    const twigWatchMode = asString(process.env.SHOPWARE_STOREFRONT_TWIG_WATCH_MODE, 'narrow').toLowerCase();
+    const watchConfig = resolveWatchConfig(projectRoot, settings);
 
-    if (twigWatchMode === 'narrow' || disableTwig) {
-        process.env.SHOPWARE_STOREFRONT_SKIP_EXTENSION_TWIG_WATCH = '1';
-    }
+    // The core config would only collect plugin template paths for devServer.watchFiles, which is dropped below.
+    process.env.SHOPWARE_STOREFRONT_SKIP_EXTENSION_TWIG_WATCH = '1';
 
     let sassImplementation;
     try {
@@ -314,6 +308,9 @@ function loadPatchedWebpackConfig(explicitProjectRoot) {
     }
 
     delete require.cache[require.resolve(coreWebpackConfigPath)];
+    // The core config requires these dumps; drop them so a restarted compiler sees the current plugin set.
+    delete require.cache[path.resolve(projectRoot, 'var/plugins.json')];
+    delete require.cache[path.resolve(projectRoot, 'var/theme-files.json')];
 
     const previousCwd = process.cwd();
     let webpackConfig;
@@ -360,11 +357,12 @@ function loadPatchedWebpackConfig(explicitProjectRoot) {
         patchScssRulesToNoop(configArray);
     }
 
-    if (disableTwig && coreConfig.devServer) {
+    // The hot proxy lints changed templates before it reloads or morphs any page, so webpack must not reload on Twig.
+    if (coreConfig.devServer) {
         delete coreConfig.devServer.watchFiles;
     }
 
-    const assetPort = parseInt(process.env.STOREFRONT_ASSETS_PORT || '', 10) || 9999;
+    const assetPort = settings.assetPort || 9999;
     if (coreConfig.devServer) {
         const clientConfig = coreConfig.devServer.client || {};
         const webSocketConfig = clientConfig.webSocketURL || {};
@@ -373,10 +371,11 @@ function loadPatchedWebpackConfig(explicitProjectRoot) {
             ...clientConfig,
             webSocketURL: {
                 ...webSocketConfig,
-                hostname: resolveWebSocketHostname(),
+                hostname: resolveWebSocketHostname(settings.proxyUrl),
                 port: assetPort,
             },
         };
+        coreConfig.devServer.port = assetPort;
         coreConfig.devServer.liveReload = true;
     }
 
@@ -390,10 +389,6 @@ function loadPatchedWebpackConfig(explicitProjectRoot) {
         };
     }
 
-    if (!disableTwig) {
-        patchWatchFiles(coreConfig, { projectRoot, twigWatchMode });
-    }
-
     if (!useScssSidecar) {
         const scssRule = findScssRule(coreConfig?.module?.rules);
         patchScssRule(scssRule, {
@@ -425,7 +420,7 @@ function loadPatchedWebpackConfig(explicitProjectRoot) {
         }
     }
 
-    const explicitParallelism = parseInt(process.env.SHOPWARE_BUILD_PARALLELISM || '', 10);
+    const explicitParallelism = settings.buildParallelism;
     const detectedCpuCount = os.cpus().length || 2;
     const parallelismValue = Number.isInteger(explicitParallelism) && explicitParallelism > 0
         ? explicitParallelism
@@ -437,6 +432,12 @@ function loadPatchedWebpackConfig(explicitProjectRoot) {
         }
     }
 
+    patchWatchIgnored(effectiveConfigArray, watchConfig.ignored);
+
+    if (options.poll) {
+        patchWatchPolling(effectiveConfigArray, options.poll);
+    }
+
     return effectiveConfigArray;
 }
 
@@ -0,0 +1,201 @@
+const zlib = require('node:zlib');
+const { Transform } = require('node:stream');
+const { StringDecoder } = require('node:string_decoder');
+
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+const SINGLE_BYTE_CHARSETS = ['iso-8859-1', 'latin1', 'windows-1252', 'us-ascii', 'ascii'];
+const SUPPORTED_CONTENT_ENCODINGS = ['br', 'gzip', 'deflate'];
+
+function parseContentType(headerValue) {
+    const raw = String(headerValue || '').toLowerCase();
+    const [mimeType, ...parameters] = raw.split(';').map((part) => part.trim());
+    let charset = '';
+
+    for (const parameter of parameters) {
+        if (parameter.startsWith('charset=')) {
+            charset = parameter.slice('charset='.length).replace(/"/g, '').trim();
+        }
+    }
+
+    return { mimeType: mimeType || '', charset };
+}
+
+function isHtmlContentType(mimeType) {
+    return HTML_CONTENT_TYPES.includes(mimeType);
+}
+
+function resolveTextEncoding(charset) {
+    if (charset === '' || charset === 'utf-8' || charset === 'utf8') {
+        return 'utf8';
+    }
+
+    // Byte-for-byte round trip keeps every non-ASCII byte intact while the ASCII URL patterns still match.
+    if (SINGLE_BYTE_CHARSETS.includes(charset)) {
+        return 'latin1';
+    }
+
+    return null;
+}
+
+function normalizeContentEncoding(headerValue) {
+    const encoding = String(headerValue || '').trim().toLowerCase();
+    if (encoding === 'x-gzip') {
+        return 'gzip';
+    }
+
+    return encoding === 'identity' ? '' : encoding;
+}
+
+function isSupportedContentEncoding(encoding) {
+    return encoding === '' || SUPPORTED_CONTENT_ENCODINGS.includes(encoding);
+}
+
+function filterAcceptEncoding(headerValue) {
+    const accepted = String(headerValue || '')
+        .split(',')
+        .map((part) => part.trim())
+        .filter((part) => SUPPORTED_CONTENT_ENCODINGS.includes(part.split(';')[0].trim().toLowerCase()));
+
+    return accepted.length > 0 ? accepted.join(', ') : 'identity';
+}
+
+function createContentDecoder(encoding) {
+    if (encoding === 'br') {
+        return zlib.createBrotliDecompress();
+    }
+
+    if (encoding === 'gzip') {
+        return zlib.createGunzip();
+    }
+
+    if (encoding === 'deflate') {
+        return zlib.createInflate();
+    }
+
+    return null;
+}
+
+// Every rewritten segment is flushed right away so compression does not hold back the first bytes.
+function createContentEncoder(encoding) {
+    if (encoding === 'br') {
+        return zlib.createBrotliCompress({
+            flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: 4,
+            },
+        });
+    }
+
+    if (encoding === 'gzip') {
+        return zlib.createGzip({ flush: zlib.constants.Z_SYNC_FLUSH });
+    }
+
+    if (encoding === 'deflate') {
+        return zlib.createDeflate({ flush: zlib.constants.Z_SYNC_FLUSH });
+    }
+
+    return null;
+}
+
+function lastIndexOfAny(text, boundaryChars) {
+    let index = -1;
+
+    for (const boundaryChar of boundaryChars) {
+        index = Math.max(index, text.lastIndexOf(boundaryChar));
+    }
+
+    return index;
+}
+
+// Rewrites a text body while it streams. Only text up to the last boundary character is
+// handed to the rewriter, so no pattern that excludes the boundary can be split between chunks.
+function createTextRewriteStream({ encoding = 'utf8', boundaryChars = ['>'], rewriter }) {
+    const decoder = new StringDecoder(encoding);
+    let pending = '';
+
+    return new Transform({
+        transform(chunk, _chunkEncoding, callback) {
+            pending += decoder.write(chunk);
+
+            const cutIndex = lastIndexOfAny(pending, boundaryChars) + 1;
+            if (cutIndex === 0) {
+                callback();
+                return;
+            }
+
+            const segment = pending.slice(0, cutIndex);
+            pending = pending.slice(cutIndex);
+
+            try {
+                callback(null, Buffer.from(rewriter.transform(segment), encoding));
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            pending += decoder.end();
+
+            try {
+                let output = pending !== '' ? rewriter.transform(pending) : '';
+                if (typeof rewriter.end === 'function') {
+                    output += rewriter.end();
+                }
+
+                pending = '';
+                callback(null, Buffer.from(output, encoding));
+            } catch (error) {
+                callback(error);
+            }
+        },
+    });
+}
+
+// Injects markup right before `</head>`. Fragments without a head are left untouched.
+function createHeadInjector(markup) {
+    let injected = false;
+
+    return {
+        transform(segment) {
+            if (injected || markup === '') {
+                return segment;
+            }
+
+            const headCloseIndex = segment.indexOf('</head>');
+            if (headCloseIndex === -1) {
+                return segment;
+            }
+
+            injected = true;
+            return segment.slice(0, headCloseIndex) + markup + segment.slice(headCloseIndex);
+        },
+    };
+}
+
+function composeRewriters(rewriters) {
+    const activeRewriters = rewriters.filter(Boolean);
+
+    return {
+        transform(segment) {
+            return activeRewriters.reduce((text, rewriter) => rewriter.transform(text), segment);
+        },
+        end() {
+            return activeRewriters.reduce((tail, rewriter) => {
+                return tail + (typeof rewriter.end === 'function' ? rewriter.end() : '');
+            }, '');
+        },
+    };
+}
+
+module.exports = {
+    parseContentType,
+    isHtmlContentType,
+    resolveTextEncoding,
+    normalizeContentEncoding,
+    isSupportedContentEncoding,
+    filterAcceptEncoding,
+    createContentDecoder,
+    createContentEncoder,
+    createTextRewriteStream,
+    createHeadInjector,
+    composeRewriters,
+};
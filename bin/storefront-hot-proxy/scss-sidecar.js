@@ -11,12 +11,14 @@ const {
     createStorefrontRequire,
 } = require('./runtime-paths');
 const {
-    asString,
     formatFilePath,
     summarizeFiles,
+    readSourceSnippet,
     getSassDeprecationsToSilence,
     createLogger,
 } = require('./utils');
+const { resolveWatchConfig } = require('./watch-config');
+const { loadSettings } = require('./settings');
 
 const HOT_CSS_BASE_PATH = '/_sidworks_hot';
 const HOT_CSS_FILE_NAME = 'sidworks-hot.css';
@@ -275,13 +277,46 @@ function resolveAliasMap(themeFiles) {
     return aliasMap;
 }
 
-function createScssSidecar(projectRoot) {
+function describeSassError(error, projectRoot) {
+    let filePath = '';
+    let line = 0;
+    let column = 0;
+
+    if (error?.span?.url) {
+        try {
+            filePath = fileURLToPath(error.span.url);
+        } catch (_error) {
+            // non-file URL
+        }
+        line = Number(error.span.start?.line) + 1 || 0;
+        column = Number(error.span.start?.column) + 1 || 0;
+    } else if (typeof error?.file === 'string') {
+        filePath = error.file;
+        line = Number(error.line) || 0;
+        column = Number(error.column) || 0;
+    }
+
+    return {
+        title: 'SCSS compile failed',
+        message: error?.sassMessage || error?.message || String(error),
+        file: formatFilePath(filePath, projectRoot),
+        line,
+        column,
+        snippet: readSourceSnippet(filePath, line, column),
+    };
+}
+
+function createScssSidecar(projectRoot, options = {}) {
     const rootPath = projectRoot || resolveProjectRoot(__dirname);
     const storefrontApp = resolveStorefrontApp(rootPath);
     const storefrontRequire = createStorefrontRequire(rootPath);
     const runtimeRequire = createRequire(__filename);
     const Watchpack = storefrontRequire('watchpack');
+    const settings = options.settings || loadSettings(rootPath);
+    const watchConfig = resolveWatchConfig(rootPath, settings);
     const log = createLogger('SCSS');
+    const onFeedback = typeof options.onFeedback === 'function' ? options.onFeedback : null;
+    const changeStorm = options.changeStorm || null;
 
     const themeFilesConfigPath = path.resolve(rootPath, 'var/theme-files.json');
     const themeEntryPath = path.resolve(rootPath, 'var/theme-entry.scss');
@@ -292,15 +327,16 @@ function createScssSidecar(projectRoot) {
     const fallbackThemeVariablesPath = path.resolve(rootPath, 'var/theme-variables.scss');
     const cssOutputPath = path.resolve(generatedEntryDirectoryPath, HOT_CSS_FILE_NAME);
     const cssMapOutputPath = path.resolve(generatedEntryDirectoryPath, HOT_CSS_MAP_FILE_NAME);
-    const scssSourceMapEnabled = asString(process.env.SHOPWARE_STOREFRONT_SCSS_SOURCE_MAP, '1') === '1';
-    const scssSourceMapIncludeSources = asString(process.env.SHOPWARE_STOREFRONT_SCSS_SOURCE_MAP_INCLUDE_SOURCES, '0') === '1';
-    const silenceDeprecations = asString(process.env.SHOPWARE_STOREFRONT_SASS_SILENCE_DEPRECATIONS, '1') === '1';
+    const scssSourceMapEnabled = settings.scssSourceMap;
+    const scssSourceMapIncludeSources = settings.scssSourceMapIncludeSources;
+    const silenceDeprecations = settings.sassSilenceDeprecations;
 
     const fileContentCache = new Map();
 
     const state = {
         subscribers: new Set(),
         watchpack: null,
+        watchedFiles: [],
         compileInFlight: false,
         compileQueued: false,
         compileTimer: null,
@@ -312,6 +348,7 @@ function createScssSidecar(projectRoot) {
         loggedGeneratedEntryInfo: false,
         pendingChangedFiles: new Set(),
         pendingTriggerType: '',
+        poll: undefined,
     };
 
     function formatPath(filePath) {
@@ -529,6 +566,24 @@ function createScssSidecar(projectRoot) {
         }, 80);
     }
 
+    function handleFileEvent(triggerType, changedFile) {
+        if (changeStorm && changeStorm.record('scss', formatPath(changedFile))) {
+            // Kept pending for the single compile started by recompile() once the storm settles.
+            rememberPendingTrigger(triggerType, changedFile);
+            if (state.compileTimer) {
+                clearTimeout(state.compileTimer);
+                state.compileTimer = null;
+            }
+            return;
+        }
+
+        scheduleCompile(triggerType, changedFile);
+    }
+
+    function recompile(reason = 'manual') {
+        scheduleCompile(reason);
+    }
+
     function ensureWatchpack() {
         if (state.watchpack) {
             return state.watchpack;
@@ -536,16 +591,12 @@ function createScssSidecar(projectRoot) {
 
         state.watchpack = new Watchpack({
             aggregateTimeout: 120,
-            ignored: [
-                '**/.git/**',
-                '**/node_modules/**',
-                '**/var/.sidworks-hot/**',
-                '**/var/cache/**',
-            ],
+            poll: state.poll,
+            ignored: watchConfig.ignored,
         });
 
-        state.watchpack.on('change', (filePath) => scheduleCompile('change', filePath));
-        state.watchpack.on('remove', (filePath) => scheduleCompile('remove', filePath));
+        state.watchpack.on('change', (filePath) => handleFileEvent('change', filePath));
+        state.watchpack.on('remove', (filePath) => handleFileEvent('remove', filePath));
 
         return state.watchpack;
     }
@@ -558,8 +609,20 @@ function createScssSidecar(projectRoot) {
         loadedFiles.push(entryPath || state.activeEntryPath || themeEntryPath);
         loadedFiles.push(themeFilesConfigPath, featureConfigPath, themeConfigPath, fallbackThemeVariablesPath);
 
+        state.watchedFiles = [...new Set(loadedFiles)];
         const watcher = ensureWatchpack();
-        watcher.watch([...new Set(loadedFiles)], [], Date.now() - 1000);
+        watcher.watch(state.watchedFiles, [], Date.now() - 1000);
+    }
+
+    /**
+     * The SCSS files of the last successful compile, relative to the project root.
+     */
+    function getWatchedFiles() {
+        return state.watchedFiles.map((filePath) => formatFilePath(filePath, rootPath));
+    }
+
+    function countSubscribers() {
+        return state.subscribers.size;
     }
 
     function broadcastCssUpdate() {
@@ -632,9 +695,24 @@ function createScssSidecar(projectRoot) {
             state.version = Date.now();
             updateWatchSet(result.loadedFiles, compileEntryPath);
             broadcastCssUpdate();
-            log.status('OK', `compiled (${reasonLabel}) in ${Date.now() - startedAt}ms`);
+            const durationMs = Date.now() - startedAt;
+            log.status('OK', `compiled (${reasonLabel}) in ${durationMs}ms`, false, { durationMs, files: changedFiles });
+
+            if (onFeedback) {
+                onFeedback({ source: 'scss', ok: true });
+            }
         } catch (error) {
-            log.status('ERR', `compile failed (${reasonLabel}) after ${Date.now() - startedAt}ms: ${error?.message || error}`, true);
+            const durationMs = Date.now() - startedAt;
+            const errorDetails = describeSassError(error, rootPath);
+            log.status('ERR', `compile failed (${reasonLabel}) after ${durationMs}ms: ${error?.message || error}`, true, {
+                durationMs,
+                files: changedFiles,
+                error: errorDetails,
+            });
+
+            if (onFeedback) {
+                onFeedback({ source: 'scss', ok: false, error: errorDetails });
+            }
         } finally {
             state.compileInFlight = false;
 
@@ -796,14 +874,11 @@ function createScssSidecar(projectRoot) {
         });
     }
 
-    function injectMarkup(html, proxyOrigin) {
-        if (!html || typeof html !== 'string' || html.includes('sidworks-hot-css')) {
-            return html;
-        }
-
+    function getMarkup(proxyOrigin) {
         const cssHrefBase = `${proxyOrigin}${HOT_CSS_ROUTE}`;
         const eventsHref = `${proxyOrigin}${HOT_CSS_EVENTS_ROUTE}`;
-        const snippet = [
+
+        return [
             `<link id="sidworks-hot-css" rel="stylesheet" href="${cssHrefBase}?v=${state.version}">`,
             '<script>',
             '(function(){',
@@ -826,12 +901,6 @@ function createScssSidecar(projectRoot) {
             '})();',
             '</script>',
         ].join('');
-
-        if (html.includes('</head>')) {
-            return html.replace('</head>', `${snippet}</head>`);
-        }
-
-        return snippet + html;
     }
 
     function handleInternalRequest(req, res) {
@@ -890,9 +959,11 @@ function createScssSidecar(projectRoot) {
         return false;
     }
 
-    async function start() {
+    async function start(startOptions = {}) {
+        state.poll = startOptions.poll || undefined;
+
         if (!resolveCompileEntryPath()) {
-            console.warn('[SidworksDevTools] SCSS sidecar disabled: no SCSS entry available');
+            log.status('WARN', 'sidecar disabled: no SCSS entry available');
             return false;
         }
 
@@ -928,9 +999,12 @@ function createScssSidecar(projectRoot) {
 
     return {
         start,
+        recompile,
         close,
         handleInternalRequest,
-        injectMarkup,
+        getMarkup,
+        getWatchedFiles,
+        countSubscribers,
     };
 }
 
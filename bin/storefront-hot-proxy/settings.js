@@ -0,0 +1,320 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const CONFIG_FILE_NAMES = ['sidworks-hot.config.js', 'sidworks-hot.config.json'];
+const LAUNCHER_DEFAULTS_ENV = 'SHOPWARE_STOREFRONT_HOT_DEFAULTS';
+
+/**
+ * Every hot proxy setting with its environment variable. Precedence (lowest first): `default`, defaults passed by
+ * `bin/console sidworks:watch-storefront`, the project config file, environment variables.
+ * A function default is resolved against the other settings after they are known.
+ */
+const SETTINGS_SCHEMA = {
+    proxyPort: { env: 'STOREFRONT_PROXY_PORT', type: 'integer', default: 9998 },
+    assetPort: { env: 'STOREFRONT_ASSETS_PORT', type: 'integer', default: 9999 },
+    proxyUrl: { env: 'PROXY_URL', type: 'string', default: '' },
+    proxyDomains: { env: 'STOREFRONT_PROXY_DOMAINS', type: 'list', separator: /[\s,]+/, default: [] },
+    skipSslCert: { env: 'STOREFRONT_SKIP_SSL_CERT', type: 'boolean', default: false },
+    httpsKeyFile: { env: 'STOREFRONT_HTTPS_KEY_FILE', type: 'string', default: '' },
+    httpsCertificateFile: { env: 'STOREFRONT_HTTPS_CERTIFICATE_FILE', type: 'string', default: '' },
+    openBrowser: { env: 'SHOPWARE_STOREFRONT_OPEN_BROWSER', type: 'boolean', default: true },
+    keyboardShortcuts: { env: 'SHOPWARE_STOREFRONT_KEYBOARD_SHORTCUTS', type: 'boolean', default: true },
+    controlEndpoint: { env: 'SHOPWARE_STOREFRONT_CONTROL', type: 'boolean', default: true },
+    dashboard: { env: 'SHOPWARE_STOREFRONT_DASHBOARD', type: 'boolean', default: true },
+    logFormat: { env: 'SHOPWARE_STOREFRONT_LOG_FORMAT', type: 'enum', values: ['text', 'json'], default: 'text' },
+
+    disableJs: { env: 'SHOPWARE_STOREFRONT_DISABLE_JS', type: 'boolean', default: false },
+    disableTwig: { env: 'SHOPWARE_STOREFRONT_DISABLE_TWIG', type: 'boolean', default: false },
+    disableScss: { env: 'SHOPWARE_STOREFRONT_DISABLE_SCSS', type: 'boolean', default: false },
+    disableTranslationWatch: { env: 'SHOPWARE_STOREFRONT_DISABLE_TRANSLATION_WATCH', type: 'boolean', default: false },
+    disablePhpWatch: { env: 'SHOPWARE_STOREFRONT_DISABLE_PHP_WATCH', type: 'boolean', default: false },
+    disableThemeWatch: { env: 'SHOPWARE_STOREFRONT_DISABLE_THEME_WATCH', type: 'boolean', default: false },
+    hotCoreOnly: { env: 'SHOPWARE_STOREFRONT_HOT_CORE_ONLY', type: 'boolean', default: false },
+
+    scssEngine: { env: 'SHOPWARE_STOREFRONT_SCSS_ENGINE', type: 'enum', values: ['webpack', 'sass-cli'], default: 'webpack' },
+    useSassEmbedded: { env: 'SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED', type: 'boolean', default: true },
+    scssSourceMap: {
+        env: 'SHOPWARE_STOREFRONT_SCSS_SOURCE_MAP',
+        type: 'boolean',
+        default: (settings) => settings.scssEngine === 'sass-cli',
+    },
+    scssSourceMapIncludeSources: { env: 'SHOPWARE_STOREFRONT_SCSS_SOURCE_MAP_INCLUDE_SOURCES', type: 'boolean', default: false },
+    sassSilenceDeprecations: { env: 'SHOPWARE_STOREFRONT_SASS_SILENCE_DEPRECATIONS', type: 'boolean', default: true },
+    skipPostCss: { env: 'SHOPWARE_STOREFRONT_SKIP_POSTCSS', type: 'boolean', default: false },
+    jsSourceMap: { env: 'SHOPWARE_STOREFRONT_JS_SOURCE_MAP', type: 'boolean', default: false },
+    jsCompileFeedback: { env: 'SHOPWARE_STOREFRONT_JS_COMPILE_FEEDBACK', type: 'boolean', default: true },
+    devCache: { env: 'SHOPWARE_STOREFRONT_DEV_CACHE', type: 'boolean', default: true },
+    verboseWebpack: { env: 'SHOPWARE_STOREFRONT_VERBOSE_WEBPACK', type: 'boolean', default: false },
+    buildParallelism: { env: 'SHOPWARE_BUILD_PARALLELISM', type: 'integer', default: 0 },
+
+    twigWatchMode: { env: 'SHOPWARE_STOREFRONT_TWIG_WATCH_MODE', type: 'enum', values: ['narrow', 'all', 'off'], default: 'narrow' },
+    twigWatchGlobs: { env: 'SHOPWARE_STOREFRONT_TWIG_WATCH_GLOBS', type: 'list', default: [] },
+    targetedReload: { env: 'SHOPWARE_STOREFRONT_TARGETED_RELOAD', type: 'boolean', default: true },
+    twigMorph: { env: 'SHOPWARE_STOREFRONT_TWIG_MORPH', type: 'boolean', default: false },
+    twigLint: { env: 'SHOPWARE_STOREFRONT_TWIG_LINT', type: 'boolean', default: true },
+    errorOverlay: { env: 'SHOPWARE_STOREFRONT_ERROR_OVERLAY', type: 'boolean', default: true },
+    stateRestore: { env: 'SHOPWARE_STOREFRONT_STATE_RESTORE', type: 'boolean', default: true },
+
+    snippetValidation: { env: 'SHOPWARE_STOREFRONT_SNIPPET_VALIDATION', type: 'boolean', default: true },
+    translationCacheFlush: { env: 'SHOPWARE_STOREFRONT_TRANSLATION_CACHE_FLUSH', type: 'boolean', default: true },
+    translationCacheMode: { env: 'SHOPWARE_STOREFRONT_TRANSLATION_CACHE_MODE', type: 'enum', values: ['targeted', 'full'], default: 'targeted' },
+    translationCacheCommand: { env: 'SHOPWARE_STOREFRONT_TRANSLATION_CACHE_COMMAND', type: 'string', default: 'cache:flush:all' },
+    translationCacheFallbackCommand: { env: 'SHOPWARE_STOREFRONT_TRANSLATION_CACHE_FALLBACK_COMMAND', type: 'string', default: 'cache:clear:all' },
+    containerCacheCommand: { env: 'SHOPWARE_STOREFRONT_CONTAINER_CACHE_COMMAND', type: 'string', default: 'cache:clear' },
+    consoleWorker: { env: 'SHOPWARE_STOREFRONT_CONSOLE_WORKER', type: 'boolean', default: true },
+
+    watchPoll: {
+        env: 'SHOPWARE_STOREFRONT_WATCH_POLL',
+        type: 'enum',
+        values: ['auto', 'on', 'off'],
+        aliases: { 1: 'on', true: 'on', 0: 'off', false: 'off' },
+        default: 'auto',
+    },
+    watchPollInterval: { env: 'SHOPWARE_STOREFRONT_WATCH_POLL_INTERVAL', type: 'integer', default: 1000 },
+    watchRoots: { env: 'SHOPWARE_STOREFRONT_WATCH_ROOTS', type: 'list', default: [] },
+    watchIgnore: { env: 'SHOPWARE_STOREFRONT_WATCH_IGNORE', type: 'list', default: [] },
+    watchGitignore: { env: 'SHOPWARE_STOREFRONT_WATCH_GITIGNORE', type: 'boolean', default: false },
+    stormThreshold: { env: 'SHOPWARE_STOREFRONT_STORM_THRESHOLD', type: 'integer', default: 40 },
+
+    metrics: { env: 'SHOPWARE_STOREFRONT_METRICS', type: 'boolean', default: true },
+};
+
+class SettingsError extends Error {
+    constructor(problems, configFile = '') {
+        const source = configFile ? ` (${configFile})` : '';
+        super(`Invalid hot proxy settings${source}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'SettingsError';
+        this.problems = problems;
+    }
+}
+
+function editDistance(left, right) {
+    const previous = Array.from({ length: right.length + 1 }, (_value, index) => index);
+
+    for (let i = 1; i <= left.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= right.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (left[i - 1] === right[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+
+    return previous[right.length];
+}
+
+function suggestKey(unknownKey) {
+    const byEnv = Object.keys(SETTINGS_SCHEMA).find((key) => SETTINGS_SCHEMA[key].env === unknownKey);
+    if (byEnv) {
+        return byEnv;
+    }
+
+    const normalized = unknownKey.toLowerCase();
+    let best = '';
+    let bestDistance = Infinity;
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+        const distance = editDistance(normalized, key.toLowerCase());
+        if (distance < bestDistance) {
+            best = key;
+            bestDistance = distance;
+        }
+    }
+
+    return bestDistance <= 3 ? best : '';
+}
+
+/**
+ * Returns `{ value }`, `{ error }` or `{ warning }`. `fromEnv` accepts the string forms used in environment variables.
+ * An environment variable that is no boolean spelling only warns: earlier releases started with any value.
+ */
+function coerceValue(definition, rawValue, fromEnv) {
+    switch (definition.type) {
+        case 'boolean': {
+            if (typeof rawValue === 'boolean') {
+                return { value: rawValue };
+            }
+
+            const normalized = String(rawValue).toLowerCase();
+            if (fromEnv && ['1', 'true', 'yes', 'on'].includes(normalized)) {
+                return { value: true };
+            }
+            if (fromEnv && ['0', 'false', 'no', 'off'].includes(normalized)) {
+                return { value: false };
+            }
+            if (fromEnv) {
+                return { warning: `expected 1/0, true/false, yes/no or on/off, got ${JSON.stringify(rawValue)}; ignored` };
+            }
+
+            return { error: `expected a boolean, got ${JSON.stringify(rawValue)}` };
+        }
+        case 'integer': {
+            const value = typeof rawValue === 'number' ? rawValue : (fromEnv ? Number(rawValue) : NaN);
+            if (!Number.isInteger(value) || value < 0) {
+                return { error: `expected a non-negative integer, got ${JSON.stringify(rawValue)}` };
+            }
+
+            return { value };
+        }
+        case 'string':
+            if (typeof rawValue !== 'string') {
+                return { error: `expected a string, got ${JSON.stringify(rawValue)}` };
+            }
+
+            return { value: rawValue.trim() };
+        case 'enum': {
+            const aliased = definition.aliases?.[String(rawValue).toLowerCase()];
+            const value = aliased || (typeof rawValue === 'string' ? rawValue.toLowerCase() : rawValue);
+            if (!definition.values.includes(value)) {
+                return { error: `expected one of ${definition.values.join(', ')}, got ${JSON.stringify(rawValue)}` };
+            }
+
+            return { value };
+        }
+        case 'list': {
+            const items = fromEnv ? String(rawValue).split(definition.separator || ',') : rawValue;
+            if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+                return { error: `expected a list of strings, got ${JSON.stringify(rawValue)}` };
+            }
+
+            return { value: items.map((item) => item.trim()).filter((item) => item !== '') };
+        }
+        default:
+            return { error: `unsupported setting type ${definition.type}` };
+    }
+}
+
+function findConfigFile(projectRoot) {
+    const explicitPath = process.env.SHOPWARE_STOREFRONT_HOT_CONFIG || '';
+    if (explicitPath !== '') {
+        const resolved = path.resolve(projectRoot, explicitPath);
+        if (!fs.existsSync(resolved)) {
+            throw new SettingsError([`config file not found: ${resolved}`]);
+        }
+
+        return resolved;
+    }
+
+    const existing = CONFIG_FILE_NAMES
+        .map((fileName) => path.resolve(projectRoot, fileName))
+        .filter((filePath) => fs.existsSync(filePath));
+    if (existing.length > 1) {
+        throw new SettingsError([`found both ${CONFIG_FILE_NAMES.join(' and ')}, keep only one`]);
+    }
+
+    return existing[0] || '';
+}
+
+function readConfigFile(configFile) {
+    let config;
+    try {
+        if (configFile.endsWith('.json')) {
+            config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } else {
+            delete require.cache[configFile];
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            config = require(configFile);
+        }
+    } catch (error) {
+        throw new SettingsError([`could not load config file: ${error.message}`], configFile);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new SettingsError(['config file must export an object'], configFile);
+    }
+
+    return config;
+}
+
+function readLauncherDefaults() {
+    try {
+        const defaults = JSON.parse(process.env[LAUNCHER_DEFAULTS_ENV] || '{}');
+        return defaults && typeof defaults === 'object' ? defaults : {};
+    } catch (_error) {
+        return {};
+    }
+}
+
+/**
+ * Resolves all hot proxy settings into one frozen object. Throws a SettingsError listing every unknown key and
+ * invalid value, so a typo in the config file fails the start instead of being ignored.
+ * `configFile` on the result is the loaded config file path, or '' without one. `warnings` lists ignored values.
+ */
+function loadSettings(projectRoot) {
+    const rootPath = path.resolve(projectRoot);
+    const configFile = findConfigFile(rootPath);
+    const fileConfig = configFile ? readConfigFile(configFile) : {};
+    const launcherDefaults = readLauncherDefaults();
+    const problems = [];
+    const warnings = [];
+    const values = {};
+    const pendingDefaults = [];
+
+    for (const key of Object.keys(fileConfig)) {
+        if (!Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, key)) {
+            const suggestion = suggestKey(key);
+            problems.push(`unknown setting "${key}"${suggestion ? `, did you mean "${suggestion}"?` : ''}`);
+        }
+    }
+
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+        const envValue = process.env[definition.env];
+        const layers = [
+            { present: envValue !== undefined && envValue !== '', rawValue: envValue, fromEnv: true, label: definition.env },
+            { present: Object.prototype.hasOwnProperty.call(fileConfig, key), rawValue: fileConfig[key], fromEnv: false, label: key },
+            { present: Object.prototype.hasOwnProperty.call(launcherDefaults, definition.env), rawValue: launcherDefaults[definition.env], fromEnv: true, label: `${definition.env} (launcher default)` },
+        ];
+        let layer = null;
+        let result = null;
+        for (const candidate of layers.filter(({ present }) => present)) {
+            const candidateResult = coerceValue(definition, candidate.rawValue, candidate.fromEnv);
+            if (candidateResult.warning) {
+                warnings.push(`${candidate.label}: ${candidateResult.warning}`);
+                continue;
+            }
+
+            layer = candidate;
+            result = candidateResult;
+            break;
+        }
+
+        if (!layer) {
+            if (typeof definition.default === 'function') {
+                pendingDefaults.push([key, definition.default]);
+            } else {
+                values[key] = Array.isArray(definition.default) ? [...definition.default] : definition.default;
+            }
+            continue;
+        }
+
+        if (result.error) {
+            problems.push(`${layer.label}: ${result.error}`);
+            continue;
+        }
+
+        values[key] = result.value;
+    }
+
+    if (problems.length > 0) {
+        throw new SettingsError(problems, configFile);
+    }
+
+    for (const [key, resolveDefault] of pendingDefaults) {
+        values[key] = resolveDefault(values);
+    }
+
+    Object.defineProperty(values, 'configFile', { value: configFile, enumerable: false });
+    Object.defineProperty(values, 'warnings', { value: warnings, enumerable: false });
+
+    return Object.freeze(values);
+}
+
+module.exports = {
+    SETTINGS_SCHEMA,
+    SettingsError,
+    loadSettings,
+};
@@ -0,0 +1,120 @@
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+const { createConsoleWorker, ConsoleWorkerUnavailableError } = require('./console-worker');
+
+const ERROR_MESSAGE_MAX_LENGTH = 320;
+
+function createCommandError(commandParts, exitCode, output, stdout) {
+    const message = output.replace(/\s+/g, ' ').trim().slice(0, ERROR_MESSAGE_MAX_LENGTH);
+    const error = new Error(message || `${commandParts[0] || 'console'} command failed with exit code ${exitCode}`);
+    error.output = output;
+    error.stdout = stdout;
+    error.exitCode = exitCode;
+
+    return error;
+}
+
+function createShopwareConsole(projectRoot, options = {}) {
+    const rootPath = path.resolve(projectRoot);
+    const binConsole = path.resolve(rootPath, 'bin/console');
+    const worker = options.worker === false ? null : createConsoleWorker(rootPath);
+
+    function runProcess(commandArgs) {
+        return new Promise((resolve, reject) => {
+            const child = spawn('php', [binConsole, ...commandArgs], {
+                cwd: rootPath,
+                env: process.env,
+                stdio: ['ignore', 'pipe', 'pipe'],
+            });
+
+            let output = '';
+            let stdout = '';
+            child.stdout.on('data', (chunk) => {
+                output += chunk.toString();
+                stdout += chunk.toString();
+            });
+            child.stderr.on('data', (chunk) => {
+                output += chunk.toString();
+            });
+
+            child.on('error', (error) => {
+                reject(error);
+            });
+            child.on('close', (code) => {
+                if (code === 0) {
+                    resolve({ output, stdout });
+                    return;
+                }
+
+                reject(createCommandError(commandArgs, code, output, stdout));
+            });
+        });
+    }
+
+    /**
+     * Runs `php bin/console <commandParts>` and resolves with the combined output, or with stdout alone when
+     * `options.stdoutOnly` is set (machine-readable output without notices and warnings).
+     * Rejected errors carry `output`, `stdout` and `exitCode` so callers can parse machine-readable output of failed runs.
+     * Commands supported by the persistent worker run there; a separate process is used when it is unavailable.
+     */
+    function run(commandParts, options = {}) {
+        const pick = (result) => (options.stdoutOnly ? result.stdout : result.output);
+
+        return runCommand(commandParts).then(pick);
+    }
+
+    function runCommand(commandParts) {
+        const commandArgs = [...commandParts];
+        if (!commandArgs.includes('--no-interaction') && !commandArgs.includes('-n')) {
+            commandArgs.push('--no-interaction');
+        }
+
+        if (!worker || !worker.supports(commandArgs)) {
+            return runProcess(commandArgs);
+        }
+
+        return worker.run(commandArgs).then(({ exitCode, output, stdout }) => {
+            if (exitCode === 0) {
+                return { output, stdout };
+            }
+
+            throw createCommandError(commandArgs, exitCode, output, stdout);
+        }, (error) => {
+            if (error instanceof ConsoleWorkerUnavailableError) {
+                return runProcess(commandArgs);
+            }
+
+            throw error;
+        });
+    }
+
+    function start() {
+        if (worker) {
+            worker.start();
+        }
+    }
+
+    function recycleWorker() {
+        if (worker) {
+            worker.recycle();
+        }
+    }
+
+    function close() {
+        if (worker) {
+            worker.close();
+        }
+    }
+
+    return {
+        start,
+        run,
+        recycleWorker,
+        close,
+    };
+}
+
+module.exports = {
+    createShopwareConsole,
+};
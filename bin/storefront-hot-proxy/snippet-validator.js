@@ -0,0 +1,232 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// `storefront.en-GB.json`, `messages.de_DE.json`, `de-DE.json` or `storefront.de-DE.base.json`: an optional domain,
+// a language and a region (country or UN M49 code) and an optional `.base` suffix.
+const LOCALE_FILE_PATTERN = /^(?:(.+)\.)?([a-z]{2,3}[-_](?:[A-Z]{2}|\d{3}))(\.base)?\.json$/;
+// `snippet/de_DE/`, a directory per locale.
+const LOCALE_DIRECTORY_PATTERN = /^[a-z]{2,3}[-_](?:[A-Z]{2}|\d{3})$/;
+const MAX_LISTED_KEYS = 5;
+
+function positionToLocation(source, position) {
+    const before = source.slice(0, position);
+    const lines = before.split('\n');
+
+    return {
+        line: lines.length,
+        column: lines[lines.length - 1].length + 1,
+    };
+}
+
+function describeParseError(error, source) {
+    const message = String(error?.message || error);
+    const lineColumn = message.match(/line (\d+) column (\d+)/);
+    if (lineColumn) {
+        return { message, line: Number(lineColumn[1]), column: Number(lineColumn[2]) };
+    }
+
+    const position = message.match(/at position (\d+)/);
+    if (position) {
+        return { message, ...positionToLocation(source, Number(position[1])) };
+    }
+
+    return { message, line: 0, column: 0 };
+}
+
+/**
+ * JSON.parse silently keeps the last of two equal keys, so duplicates are found with a small scanner.
+ * Expects syntactically valid JSON.
+ */
+function findDuplicateKeys(source) {
+    const duplicates = [];
+    const stack = [];
+    let pendingKey = null;
+    let index = 0;
+
+    function readString() {
+        const start = index;
+        index++;
+        while (index < source.length && source[index] !== '"') {
+            index += source[index] === '\\' ? 2 : 1;
+        }
+        index++;
+
+        return { value: JSON.parse(source.slice(start, index)), position: start };
+    }
+
+    while (index < source.length) {
+        const char = source[index];
+        const frame = stack[stack.length - 1];
+
+        if (char === '"') {
+            const string = readString();
+            if (frame && frame.type === 'object' && frame.expectingKey) {
+                const keyPath = [...frame.path, string.value].join('.');
+                if (frame.keys.has(string.value)) {
+                    duplicates.push({ key: keyPath, ...positionToLocation(source, string.position) });
+                }
+
+                frame.keys.add(string.value);
+                frame.expectingKey = false;
+                pendingKey = string.value;
+            }
+            continue;
+        }
+
+        if (char === '{' || char === '[') {
+            const parentPath = frame ? frame.path : [];
+            const segment = frame && frame.type === 'object' ? pendingKey : null;
+            stack.push({
+                type: char === '{' ? 'object' : 'array',
+                path: segment === null ? parentPath : [...parentPath, segment],
+                keys: new Set(),
+                expectingKey: char === '{',
+            });
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        } else if (char === ',' && frame && frame.type === 'object') {
+            frame.expectingKey = true;
+        }
+
+        index++;
+    }
+
+    return duplicates;
+}
+
+function flattenKeys(value, prefix = '', keys = new Set()) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        if (prefix !== '') {
+            keys.add(prefix);
+        }
+
+        return keys;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        flattenKeys(child, prefix === '' ? key : `${prefix}.${key}`, keys);
+    }
+
+    return keys;
+}
+
+function readSnippetFile(filePath) {
+    let source;
+    try {
+        source = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        return { ok: false, parseError: { message: error.message, line: 0, column: 0 }, duplicates: [], keys: null };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(source.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        return { ok: false, parseError: describeParseError(error, source), duplicates: [], keys: null };
+    }
+
+    const duplicates = findDuplicateKeys(source);
+
+    return { ok: duplicates.length === 0, parseError: null, duplicates, keys: flattenKeys(data) };
+}
+
+function readDirectory(directory, options) {
+    try {
+        return fs.readdirSync(directory, options);
+    } catch (_error) {
+        return [];
+    }
+}
+
+/**
+ * Sibling locale files share the file name, including a `.base` suffix, apart from the locale. They sit in the same directory,
+ * e.g. `storefront.de-DE.json` next to `storefront.en-GB.json`, or in sibling locale directories,
+ * e.g. `snippet/de_DE/storefront.de-DE.json` next to `snippet/en_GB/storefront.en-GB.json`.
+ */
+function findSiblingLocaleFiles(filePath) {
+    const absolutePath = path.resolve(filePath);
+    const directory = path.dirname(absolutePath);
+    const match = path.basename(absolutePath).match(LOCALE_FILE_PATTERN);
+    if (!match) {
+        return [];
+    }
+
+    const directories = [directory];
+    if (LOCALE_DIRECTORY_PATTERN.test(path.basename(directory))) {
+        const snippetRoot = path.dirname(directory);
+        for (const entry of readDirectory(snippetRoot, { withFileTypes: true })) {
+            if (entry.isDirectory() && LOCALE_DIRECTORY_PATTERN.test(entry.name)) {
+                const siblingDirectory = path.join(snippetRoot, entry.name);
+                if (siblingDirectory !== directory) {
+                    directories.push(siblingDirectory);
+                }
+            }
+        }
+    }
+
+    return directories.flatMap((siblingDirectory) => readDirectory(siblingDirectory)
+        .map((entry) => ({ filePath: path.join(siblingDirectory, entry), match: entry.match(LOCALE_FILE_PATTERN) }))
+        .filter(({ filePath: siblingPath, match: siblingMatch }) => {
+            return siblingPath !== absolutePath
+                && siblingMatch
+                && (siblingMatch[1] || '') === (match[1] || '')
+                && (siblingMatch[3] || '') === (match[3] || '');
+        })
+        .map(({ filePath: siblingPath, match: siblingMatch }) => ({ locale: siblingMatch[2], filePath: siblingPath })));
+}
+
+/**
+ * Returns the snippet set ISO code (e.g. `de-DE`) encoded in a snippet file name, or '' when there is none.
+ */
+function resolveSnippetLocale(filePath) {
+    const match = path.basename(String(filePath || '')).match(LOCALE_FILE_PATTERN);
+
+    return match ? match[2].replace('_', '-') : '';
+}
+
+function difference(left, right) {
+    return [...left].filter((key) => !right.has(key));
+}
+
+function formatKeyList(keys) {
+    const listed = keys.slice(0, MAX_LISTED_KEYS).join(', ');
+
+    return keys.length > MAX_LISTED_KEYS ? `${listed} +${keys.length - MAX_LISTED_KEYS} more` : listed;
+}
+
+/**
+ * Returns `{ ok, parseError, duplicates, keyDifferences }` for one changed snippet file.
+ * Key differences against sibling locales are informational and never make the file invalid.
+ */
+function validateSnippetFile(filePath) {
+    const result = readSnippetFile(filePath);
+    const keyDifferences = [];
+
+    if (result.keys) {
+        for (const sibling of findSiblingLocaleFiles(filePath)) {
+            const siblingResult = readSnippetFile(sibling.filePath);
+            if (!siblingResult.keys) {
+                continue;
+            }
+
+            const missing = difference(siblingResult.keys, result.keys);
+            const extra = difference(result.keys, siblingResult.keys);
+            if (missing.length > 0 || extra.length > 0) {
+                keyDifferences.push({ locale: sibling.locale, missing, extra });
+            }
+        }
+    }
+
+    return {
+        ok: result.ok,
+        parseError: result.parseError,
+        duplicates: result.duplicates,
+        keyDifferences,
+    };
+}
+
+module.exports = {
+    validateSnippetFile,
+    resolveSnippetLocale,
+    formatKeyList,
+};
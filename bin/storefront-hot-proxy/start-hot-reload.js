@@ -2,18 +2,51 @@
 
 const nodeServerHttp = require('node:http');
 const nodeServerHttps = require('node:https');
+const tls = require('node:tls');
 const fs = require('node:fs');
 const path = require('node:path');
 const { spawn } = require('node:child_process');
+const { pipeline } = require('node:stream');
 
 const createLiveReloadServer = require('./live-reload-server');
+const { createClientChannel } = require('./client-channel');
+const { createPageTemplateRegistry } = require('./page-templates');
+const { createShopwareConsole } = require('./shopware-console');
+const { resolveSnippetLocale } = require('./snippet-validator');
 const { createScssSidecar } = require('./scss-sidecar');
 const { createChangeFeedbackWatcher } = require('./change-feedback-watcher');
+const { resolveWatchMode } = require('./watch-mode');
+const { createChangeStorm } = require('./change-storm');
+const { createBuildMetrics } = require('./build-metrics');
+const { createKeyboardShortcuts } = require('./keyboard-shortcuts');
+const { createControlEndpoint } = require('./control-endpoint');
+const { createDashboard } = require('./dashboard');
+const { loadSettings, SettingsError, SETTINGS_SCHEMA } = require('./settings');
 const {
     resolveProjectRoot,
     createStorefrontRequire,
 } = require('./runtime-paths');
-const { ANSI, colorize, tag } = require('./utils');
+const {
+    parseContentType,
+    isHtmlContentType,
+    resolveTextEncoding,
+    normalizeContentEncoding,
+    isSupportedContentEncoding,
+    filterAcceptEncoding,
+    createContentDecoder,
+    createContentEncoder,
+    createTextRewriteStream,
+    createHeadInjector,
+    composeRewriters,
+} = require('./rewrite-stream');
+const { isJsonContentType, createUrlRewriter } = require('./url-rewriter');
+const {
+    ANSI,
+    colorize,
+    isJsonLogFormat,
+    setLogFormat,
+    createLogger,
+} = require('./utils');
 
 const projectRootPath = resolveProjectRoot(__dirname);
 const storefrontRequire = createStorefrontRequire(projectRootPath);
@@ -23,16 +56,60 @@ process.env.NODE_ENV = process.env.NODE_ENV || 'development';
 process.env.MODE = process.env.MODE || 'hot';
 process.noDeprecation = true;
 
-const proxyPort = Number(process.env.STOREFRONT_PROXY_PORT) || 9998;
-const assetPort = Number(process.env.STOREFRONT_ASSETS_PORT) || 9999;
-const shouldOpenBrowser = process.env.SHOPWARE_STOREFRONT_OPEN_BROWSER !== '0';
-const scssEngine = String(process.env.SHOPWARE_STOREFRONT_SCSS_ENGINE || 'webpack').toLowerCase();
-const disableScss = process.env.SHOPWARE_STOREFRONT_DISABLE_SCSS === '1';
-const translationCacheFlushEnabled = process.env.SHOPWARE_STOREFRONT_TRANSLATION_CACHE_FLUSH !== '0';
-const translationCacheCommandParts = parseCommandParts(process.env.SHOPWARE_STOREFRONT_TRANSLATION_CACHE_COMMAND || 'cache:flush:all');
-const translationCacheFallbackCommandParts = parseCommandParts(process.env.SHOPWARE_STOREFRONT_TRANSLATION_CACHE_FALLBACK_COMMAND || 'cache:clear:all');
+let settings;
+try {
+    settings = loadSettings(projectRootPath);
+} catch (error) {
+    if (!(error instanceof SettingsError)) {
+        throw error;
+    }
+
+    console.error(`[SidworksDevTools] ${error.message}`);
+    process.exit(1);
+}
+
+setLogFormat(settings.logFormat);
+
+// Started before anything logs so the dashboard also lists the startup messages.
+const dashboard = settings.dashboard ? createDashboard({ getSnapshot: describeDashboard }) : null;
+if (dashboard) {
+    dashboard.start();
+}
+
+const proxyLog = createLogger('PROXY');
+
+if (settings.configFile) {
+    proxyLog.log(`Using ${path.relative(projectRootPath, settings.configFile)} (environment variables take precedence)`);
+}
+
+for (const warning of settings.warnings) {
+    proxyLog.status('WARN', warning);
+}
+
+const proxyPort = settings.proxyPort || 9998;
+const assetPort = settings.assetPort || 9999;
+const shouldOpenBrowser = settings.openBrowser;
+const scssEngine = settings.scssEngine;
+const disableScss = settings.disableScss;
+const translationCacheFlushEnabled = settings.translationCacheFlush;
+const translationCacheCommandParts = parseCommandParts(settings.translationCacheCommand || 'cache:flush:all');
+const translationCacheFallbackCommandParts = parseCommandParts(settings.translationCacheFallbackCommand || 'cache:clear:all');
+const translationCacheMode = settings.translationCacheMode;
+const containerCacheCommandParts = parseCommandParts(settings.containerCacheCommand || 'cache:clear');
+const KERNEL_READY_TIMEOUT_MS = 90000;
+const KERNEL_READY_POLL_MS = 500;
+const errorOverlayEnabled = settings.errorOverlay;
+const stateRestoreEnabled = settings.stateRestore;
+const twigMorphEnabled = settings.twigMorph;
+const consoleWorkerEnabled = settings.consoleWorker;
+const targetedReloadEnabled = settings.targetedReload;
 const noOp = () => {};
+
+const stormLog = createLogger('WATCH');
+let suspendedWebpackWatching = null;
+let jsWatchPaused = false;
 let liveReloadServerInstance = null;
+let liveReloadRestart = Promise.resolve();
 const pendingReloadReasons = [];
 
 const themeFilesConfigPath = path.resolve(projectRootPath, 'var/theme-files.json');
@@ -42,7 +119,7 @@ if (fs.existsSync(themeFilesConfigPath)) {
         // eslint-disable-next-line global-require, import/no-dynamic-require
         themeFiles = require(themeFilesConfigPath);
     } catch (error) {
-        console.warn('[SidworksDevTools] Unable to read var/theme-files.json:', error.message);
+        proxyLog.status('WARN', `Unable to read var/theme-files.json: ${error.message}`);
     }
 }
 
@@ -50,76 +127,185 @@ const appUrlFromThemeFiles = parseUrlOrNull(typeof themeFiles.domainUrl === 'str
 const appUrlFromEnv = parseUrlOrNull(process.env.APP_URL || '');
 
 if (!appUrlFromThemeFiles && appUrlFromEnv) {
-    console.log('[SidworksDevTools] theme-files domainUrl is empty/invalid. Falling back to APP_URL.');
+    proxyLog.log('theme-files domainUrl is empty/invalid. Falling back to APP_URL.');
 }
 
-const appUrlEnv = appUrlFromThemeFiles
-    ? new URL(`${appUrlFromThemeFiles.protocol}//${appUrlFromThemeFiles.host}`)
-    : (appUrlFromEnv || new URL('http://localhost'));
+const primaryAppUrl = normalizeDomainUrl(appUrlFromThemeFiles || appUrlFromEnv || new URL('http://localhost'));
 
 if (!appUrlFromThemeFiles && !appUrlFromEnv) {
-    console.warn('[SidworksDevTools] APP_URL is missing/invalid. Falling back to http://localhost.');
+    proxyLog.status('WARN', 'APP_URL is missing/invalid. Falling back to http://localhost.');
 }
 
 const caRoot = process.env.CAROOT || '';
-const keyPath = process.env.STOREFRONT_HTTPS_KEY_FILE || (caRoot ? `${caRoot}/${appUrlEnv.hostname}-key.pem` : '');
-const certPath = process.env.STOREFRONT_HTTPS_CERTIFICATE_FILE || (caRoot ? `${caRoot}/${appUrlEnv.hostname}.pem` : '');
-const skipSslCerts = process.env.STOREFRONT_SKIP_SSL_CERT === 'true';
-const sslFilesFound = keyPath !== '' && certPath !== '' && fs.existsSync(keyPath) && fs.existsSync(certPath);
+const skipSslCerts = settings.skipSslCert;
 
-const proxyProtocol = (appUrlEnv.protocol === 'https:' && sslFilesFound || skipSslCerts) ? 'https:' : 'http:';
-const proxyUrlFromEnv = parseUrlOrNull(process.env.PROXY_URL || '');
-if (!proxyUrlFromEnv && process.env.PROXY_URL) {
-    console.warn('[SidworksDevTools] PROXY_URL is invalid. Falling back to generated proxy URL.');
+const proxyUrlFromEnv = parseUrlOrNull(settings.proxyUrl);
+if (!proxyUrlFromEnv && settings.proxyUrl) {
+    proxyLog.status('WARN', 'PROXY_URL is invalid. Falling back to generated proxy URL.');
 }
-const proxyUrlEnv = proxyUrlFromEnv || new URL(`${proxyProtocol}//${appUrlEnv.hostname}:${proxyPort}`);
 
-const appOriginWithSlashPattern = new RegExp(`${escapeRegExp(`${appUrlEnv.origin}/`)}`, 'g');
-const proxyMediaPattern = new RegExp(`${escapeRegExp(`${proxyUrlEnv.origin}/media/`)}`, 'g');
-const proxyThumbnailPattern = new RegExp(`${escapeRegExp(`${proxyUrlEnv.origin}/thumbnail/`)}`, 'g');
 const lineItemRedirectPattern = /content="0;url='\/checkout\/offcanvas'"/g;
-const profilerPattern = /http[s]?\\u003A\\\/\\\/[\w.]*(:\d*|\\u003A\d*)?\\\/_wdt/gm;
-const xdebugIgnorePattern = /new\s*URL\(url\);\s*url\.searchParams\.set\('XDEBUG_IGNORE'/gm;
-const hotProxyPathPattern = /\/_webpack_hot_proxy_\//g;
-
-const baseProxyOptions = {
-    appPort: Number(appUrlEnv.port) || undefined,
-    host: appUrlEnv.host,
-    proxyHost: proxyUrlEnv.host,
-    proxyPort: proxyPort,
-    secure: appUrlEnv.protocol === 'https:' && sslFilesFound && !skipSslCerts,
-    target: appUrlEnv.origin,
-    autoRewrite: true,
-    followRedirects: false,
-    changeOrigin: true,
-    headers: {
-        host: appUrlEnv.host,
-        'hot-reload-mode': 'true',
-        'accept-encoding': 'identity',
-    },
-    cookieDomainRewrite: {
-        '*': '',
-    },
-    cookiePathRewrite: {
-        '*': '',
+
+const proxyTargets = [
+    createProxyTarget({ appUrl: primaryAppUrl, port: proxyPort, proxyUrl: proxyUrlFromEnv }),
+    ...parseProxyDomains(settings.proxyDomains)
+        .filter((domain) => domain.appUrl.href !== primaryAppUrl.href)
+        .map((domain) => createProxyTarget(domain)),
+];
+const primaryTarget = proxyTargets[0];
+
+const clientChannel = createClientChannel({
+    errorOverlay: errorOverlayEnabled,
+    stateRestore: stateRestoreEnabled,
+    twigMorph: twigMorphEnabled,
+});
+const pageTemplates = createPageTemplateRegistry(projectRootPath);
+const shopwareConsole = createShopwareConsole(projectRootPath, { worker: consoleWorkerEnabled });
+
+const buildMetrics = createBuildMetrics(projectRootPath, { settings });
+
+const changeStorm = createChangeStorm({
+    threshold: settings.stormThreshold,
+    onStart: suspendWebpackWatching,
+    onSettle: (storm) => {
+        settleChangeStorm(storm).catch((error) => {
+            stormLog.status('ERR', `rebuild after bulk change failed: ${error.message}`, true, { files: storm.files, error });
+            clientChannel.handleFeedback({ source: 'php', ok: false, error: { title: 'Rebuild after bulk change failed', message: error.message } });
+        });
     },
-};
+});
 
 let scssSidecar = null;
 if (!disableScss && scssEngine === 'sass-cli') {
-    scssSidecar = createScssSidecar(projectRootPath);
+    scssSidecar = createScssSidecar(projectRootPath, {
+        settings,
+        changeStorm,
+        onFeedback: clientChannel.handleFeedback,
+    });
 }
 
 const changeFeedbackWatcher = createChangeFeedbackWatcher(projectRootPath, {
-    onTranslationChange: async ({ reasonLabel }) => {
+    settings,
+    shopwareConsole,
+    changeStorm,
+    onFeedback: clientChannel.handleFeedback,
+    onTwigChange: notifyTwigChange,
+    onTranslationChange: async ({ reasonLabel, paths }) => {
         if (translationCacheFlushEnabled) {
-            await runShopwareCacheFlush();
+            await flushTranslationCache(paths);
         }
 
         requestLiveReload(reasonLabel || 'translation-json');
     },
+    onPhpChange: async ({ reasonLabel, clearCache }) => {
+        if (clearCache) {
+            await shopwareConsole.run(containerCacheCommandParts);
+            shopwareConsole.recycleWorker();
+        }
+
+        await waitForStorefront(primaryTarget);
+        requestLiveReload(reasonLabel || 'php');
+    },
+    onThemeChange: async ({ reasonLabel }) => {
+        await dumpSelectedTheme();
+        // The SCSS sidecar watches the dumped theme files and recompiles on its own; JS entries need a reload.
+        requestLiveReload(reasonLabel || 'theme.json');
+    },
+    onPluginEntriesChange: () => restartLiveReloadServer(),
 });
 
+const keysLog = createLogger('KEYS');
+const keyboardShortcuts = createKeyboardShortcuts([
+    { key: 'r', description: 'reload all proxied pages', run: reloadPagesManually },
+    { key: 's', description: 'recompile SCSS', run: () => keysLog.status('OK', recompileScss('manual')) },
+    { key: 'c', description: 'flush the Shopware cache and reload', run: flushCacheManually },
+    { key: 't', description: 'pause/resume Twig watching', run: () => toggleWatcherPipeline('twig', 'Twig') },
+    { key: 'j', description: 'pause/resume webpack (JS) compiling', run: toggleJsWatching },
+    { key: 'i', description: 'pause/resume translation watching', run: () => toggleWatcherPipeline('translation', 'Translation') },
+    { key: 'o', description: 'open the hot proxy in the browser', run: () => openBrowserWithUrl(getProxyEntryUrl(primaryTarget)) },
+    { key: 'l', description: 'clear the screen', run: () => console.clear() },
+], {
+    onExit: () => process.exit(130),
+});
+
+const controlEndpoint = settings.controlEndpoint ? createControlEndpoint(projectRootPath, {
+    status: { run: describeStatus },
+    clients: { run: () => ({ clients: clientChannel.listClients() }) },
+    reload: { run: () => ({ sent: requestLiveReload('control: reload') }) },
+    'recompile-scss': { run: () => ({ message: recompileScss('control') }) },
+    'flush-translation-cache': { run: flushTranslationCacheOnRequest },
+    shutdown: { run: () => ({ message: 'shutting down' }), afterResponse: () => process.exit(0) },
+}) : null;
+
+/**
+ * Holds webpack back while a change storm is active; it compiles all collected changes once on resume.
+ */
+function suspendWebpackWatching() {
+    const watching = liveReloadServerInstance?.middleware?.context?.watching;
+    if (watching && typeof watching.suspend === 'function') {
+        watching.suspend();
+        suspendedWebpackWatching = watching;
+    }
+}
+
+/**
+ * One cache clear, one SCSS compile and one reload for all files of a change storm instead of one per file.
+ */
+async function settleChangeStorm({ files, byType, restartFiles }) {
+    const startedAt = Date.now();
+    const needsCacheClear = ['translation', 'php', 'config', 'theme'].some((fileType) => byType[fileType]);
+
+    if (needsCacheClear) {
+        await shopwareConsole.run(containerCacheCommandParts);
+        shopwareConsole.recycleWorker();
+
+        if (byType.theme) {
+            await dumpSelectedTheme();
+        }
+
+        await waitForStorefront(primaryTarget);
+        clientChannel.handleFeedback({ source: 'php', ok: true });
+    }
+
+    if (scssSidecar && byType.scss) {
+        scssSidecar.recompile('bulk change');
+    }
+
+    const watching = suspendedWebpackWatching;
+    suspendedWebpackWatching = null;
+    if (watching && !jsWatchPaused) {
+        watching.resume();
+    }
+
+    // A resumed JS compile reloads the pages by itself once it is done.
+    if (!watching || !byType.js) {
+        requestLiveReload(`bulk change: ${files.length} files`);
+    }
+
+    const durationMs = Date.now() - startedAt;
+    stormLog.status('OK', `rebuilt after bulk change${needsCacheClear ? ' (cache cleared)' : ''} in ${durationMs}ms`, false, { durationMs, files });
+
+    if (restartFiles.length > 0) {
+        stormLog.status('WARN', `${restartFiles.join(', ')} changed: install dependencies and restart the watcher`, true, { files: restartFiles });
+    }
+}
+
+function notifyTwigChange({ files, paths, reasonLabel }) {
+    if (!twigMorphEnabled && !targetedReloadEnabled) {
+        return requestLiveReload(reasonLabel) ? 'reloaded all pages' : 'reload queued until webpack is ready';
+    }
+
+    const eventType = twigMorphEnabled ? 'twig-changed' : 'reload';
+    const notified = clientChannel.broadcast(
+        eventType,
+        { files, reason: reasonLabel },
+        (pageId) => pageTemplates.pageUsesAnyFile(pageId, paths)
+    );
+    const verb = twigMorphEnabled ? 'morphed' : 'reloaded';
+
+    return `${verb} ${notified}/${clientChannel.countSubscribers()} page(s)`;
+}
+
 function onProxyReq(proxyReq, req) {
     const requestUrl = req.url || '';
 
@@ -129,24 +315,29 @@ function onProxyReq(proxyReq, req) {
     }
 }
 
-function onProxyError(err, req, res) {
-    console.error(err);
+function onRewriteProxyReq(proxyReq, req) {
+    onProxyReq(proxyReq, req);
+    proxyReq.setHeader('accept-encoding', filterAcceptEncoding(req.headers['accept-encoding']));
+}
+
+function onProxyError(err, req, res, target) {
+    proxyLog.status('ERR', `${req.url || ''}: ${err.message}`, true, { error: err });
 
     if (err.code === 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY') {
-        console.error('Make sure that node.js trusts the provided certificate. Set NODE_EXTRA_CA_CERTS for this.');
-        console.error(`Try to start again with NODE_EXTRA_CA_CERTS="${certPath}" set.`);
+        proxyLog.error('Make sure that node.js trusts the provided certificate. Set NODE_EXTRA_CA_CERTS for this.');
+        proxyLog.error(`Try to start again with NODE_EXTRA_CA_CERTS="${target.ssl.certPath}" set.`);
         process.exit(1);
     }
 
     if (err.code === 'SSL_ERROR_NO_CYPHER_OVERLAP') {
-        console.error('Try to start watcher again with specific path to https (key and crt) files like this:');
-        console.error('STOREFRONT_HTTPS_KEY_FILE=/var/www/html/.../certs/shopware.key STOREFRONT_HTTPS_CERTIFICATE_FILE=/var/www/html/../certs/shopware.crt composer run watch:storefront');
+        proxyLog.error('Try to start watcher again with specific path to https (key and crt) files like this:');
+        proxyLog.error('STOREFRONT_HTTPS_KEY_FILE=/var/www/html/.../certs/shopware.key STOREFRONT_HTTPS_CERTIFICATE_FILE=/var/www/html/../certs/shopware.crt composer run watch:storefront');
         process.exit(1);
     }
 
     if (err.code === 'ENOTFOUND') {
-        console.error('The domain could not be resolved. Make sure that the domain is correct in DEVENV/DDEV.');
-        console.error('And if this is a custom domain, make sure that the domain is set in your /etc/hosts file.');
+        proxyLog.error('The domain could not be resolved. Make sure that the domain is correct in DEVENV/DDEV.');
+        proxyLog.error('And if this is a custom domain, make sure that the domain is set in your /etc/hosts file.');
         process.exit(1);
     }
 
@@ -156,154 +347,549 @@ function onProxyError(err, req, res) {
     res.end('Something went wrong. Check the console for more information.');
 }
 
-const passthroughProxy = createProxyMiddleware({
-    ...baseProxyOptions,
-    selfHandleResponse: false,
-    on: {
-        proxyReq: onProxyReq,
-        error: onProxyError,
-    },
-});
-
-const rewriteProxy = createProxyMiddleware({
-    ...baseProxyOptions,
-    selfHandleResponse: true,
-    on: {
-        proxyReq: onProxyReq,
-        proxyRes: (proxyRes, req, res) => {
-            const requestUrl = req.url || '';
+function createProxyTarget({ appUrl, port, proxyUrl }) {
+    const ssl = resolveSslFiles(appUrl.hostname);
+    const proxyProtocol = (appUrl.protocol === 'https:' && ssl.found || skipSslCerts) ? 'https:' : 'http:';
+    const targetProxyUrl = proxyUrl || new URL(`${proxyProtocol}//${appUrl.hostname}:${port}`);
+    const target = {
+        appUrl,
+        port,
+        ssl,
+        basePath: getBasePath(appUrl),
+        proxyUrl: targetProxyUrl,
+        urlRewriter: createUrlRewriter({
+            appUrl,
+            proxyUrl: targetProxyUrl,
+            assetOrigin: `${targetProxyUrl.protocol}//${targetProxyUrl.hostname}:${assetPort}`,
+        }),
+    };
+
+    target.passthroughProxy = createProxyMiddleware({
+        ...createBaseProxyOptions(target),
+        selfHandleResponse: false,
+        on: {
+            proxyReq: onProxyReq,
+            proxyRes: (proxyRes) => {
+                target.urlRewriter.rewriteHeaders(proxyRes.headers);
+            },
+            error: (err, req, res) => onProxyError(err, req, res, target),
+        },
+    });
 
-            applyProxyHeaders(proxyRes, res);
+    target.rewriteProxy = createProxyMiddleware({
+        ...createBaseProxyOptions(target),
+        selfHandleResponse: true,
+        on: {
+            proxyReq: onRewriteProxyReq,
+            proxyRes: (proxyRes, req, res) => {
+                const requestUrl = req.url || '';
 
-            if (requestUrl.indexOf('.svg') !== -1) {
-                res.setHeader('Content-Type', 'image/svg+xml');
-            }
+                target.urlRewriter.rewriteHeaders(proxyRes.headers);
+                applyProxyHeaders(proxyRes, res);
 
-            const chunks = [];
-            proxyRes.on('data', (chunk) => {
-                chunks.push(chunk);
-            });
-            proxyRes.on('end', () => {
-                let body = Buffer.concat(chunks).toString();
-
-                if (isLineItemRequest(requestUrl)) {
-                    body = body.replace(lineItemRedirectPattern, 'content="0;url=\'?offcanvas=1\'"');
-                    res.removeHeader('content-length');
-                    res.end(body);
-                    return;
+                if (requestUrl.indexOf('.svg') !== -1) {
+                    res.setHeader('Content-Type', 'image/svg+xml');
                 }
 
-                if (requestUrl.indexOf('offcanvas=1') !== -1) {
-                    body = body.concat(openOffCanvasScript());
+                const { mimeType, charset } = parseContentType(proxyRes.headers['content-type']);
+                const encoding = resolveTextEncoding(charset);
+                const contentEncoding = normalizeContentEncoding(proxyRes.headers['content-encoding']);
+                const rewriteStreamOptions = hasResponseBody(req, proxyRes)
+                    ? createRewriteStreamOptions(req, mimeType, target)
+                    : null;
+                if (!rewriteStreamOptions || !encoding || !isSupportedContentEncoding(contentEncoding)) {
+                    pipeline(proxyRes, res, onResponseStreamError);
+                    return;
                 }
 
-                body = body
-                    .replace(hotProxyPathPattern, `${proxyUrlEnv.protocol}//${proxyUrlEnv.hostname}:${assetPort}/`)
-                    .replace(appOriginWithSlashPattern, `${proxyUrlEnv.origin}/`)
-                    .replace(proxyMediaPattern, `${appUrlEnv.origin}/media/`)
-                    .replace(proxyThumbnailPattern, `${appUrlEnv.origin}/thumbnail/`)
-                    .replace(profilerPattern, '/_wdt')
-                    .replace(xdebugIgnorePattern, 'new URL(window.location.protocol+\'//\'+window.location.host+url);                url.searchParams.set(\'XDEBUG_IGNORE\'');
+                res.removeHeader('content-length');
+                pipeline(
+                    [
+                        proxyRes,
+                        createContentDecoder(contentEncoding),
+                        createTextRewriteStream({ encoding, ...rewriteStreamOptions }),
+                        createContentEncoder(contentEncoding),
+                        res,
+                    ].filter(Boolean),
+                    onResponseStreamError,
+                );
+            },
+            error: (err, req, res) => onProxyError(err, req, res, target),
+        },
+    });
 
-                if (scssSidecar && isDocumentRequest(req)) {
-                    body = scssSidecar.injectMarkup(body, proxyUrlEnv.origin);
-                }
+    return target;
+}
 
-                res.removeHeader('content-length');
-                res.end(body);
-            });
+function createBaseProxyOptions(target) {
+    return {
+        appPort: Number(target.appUrl.port) || undefined,
+        host: target.appUrl.host,
+        proxyHost: target.proxyUrl.host,
+        proxyPort: target.port,
+        secure: target.appUrl.protocol === 'https:' && target.ssl.found && !skipSslCerts,
+        target: target.appUrl.origin,
+        autoRewrite: true,
+        followRedirects: false,
+        changeOrigin: true,
+        headers: {
+            host: target.appUrl.host,
+            'hot-reload-mode': 'true',
         },
-        error: onProxyError,
-    },
-});
+        cookieDomainRewrite: {
+            '*': '',
+        },
+        cookiePathRewrite: {
+            '*': '',
+        },
+    };
+}
 
-const proxy = (req, res) => {
-    if (scssSidecar && scssSidecar.handleInternalRequest(req, res)) {
-        return;
+function resolveSslFiles(hostname) {
+    const keyPath = settings.httpsKeyFile || (caRoot ? `${caRoot}/${hostname}-key.pem` : '');
+    const certPath = settings.httpsCertificateFile || (caRoot ? `${caRoot}/${hostname}.pem` : '');
+
+    return {
+        keyPath,
+        certPath,
+        found: keyPath !== '' && certPath !== '' && fs.existsSync(keyPath) && fs.existsSync(certPath),
+    };
+}
+
+function parseProxyDomains(entries) {
+    return entries
+        .map((entry) => {
+            const portMatch = entry.match(/^(.*)=(\d+)$/);
+            const appUrl = parseUrlOrNull(portMatch ? portMatch[1] : entry);
+            if (!appUrl) {
+                proxyLog.status('WARN', `Ignoring invalid STOREFRONT_PROXY_DOMAINS entry: ${entry}`);
+                return null;
+            }
+
+            return {
+                appUrl: normalizeDomainUrl(appUrl),
+                port: portMatch ? Number(portMatch[2]) : proxyPort,
+            };
+        })
+        .filter(Boolean);
+}
+
+function normalizeDomainUrl(url) {
+    return new URL(`${url.protocol}//${url.host}${getBasePath(url)}`);
+}
+
+function getBasePath(url) {
+    return url.pathname.replace(/\/+$/, '');
+}
+
+function getProxyEntryUrl(target) {
+    return `${target.proxyUrl.origin}${target.basePath}`;
+}
+
+function findHostTargets(targets, req) {
+    const requestHostname = String(req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+    const hostTargets = targets.filter((target) => target.proxyUrl.hostname.toLowerCase() === requestHostname);
+
+    return hostTargets.length > 0 ? hostTargets : targets;
+}
+
+function selectProxyTarget(hostTargets, requestPath) {
+    const matchingTargets = hostTargets
+        .filter((target) => target.basePath === '' || requestPath === target.basePath || requestPath.startsWith(`${target.basePath}/`))
+        .sort((left, right) => right.basePath.length - left.basePath.length);
+
+    return matchingTargets[0] || hostTargets[0];
+}
+
+function createProxyHandler(targets) {
+    return (req, res) => {
+        if (controlEndpoint && controlEndpoint.handleInternalRequest(req, res)) {
+            return;
+        }
+
+        if (dashboard && dashboard.handleInternalRequest(req, res)) {
+            return;
+        }
+
+        if (clientChannel.handleInternalRequest(req, res)) {
+            return;
+        }
+
+        if (scssSidecar && scssSidecar.handleInternalRequest(req, res)) {
+            return;
+        }
+
+        const hostTargets = findHostTargets(targets, req);
+        const requestPath = (req.url || '').split('?')[0];
+        if (requestPath === '/' && hostTargets.every((hostTarget) => hostTarget.basePath !== '')) {
+            res.writeHead(302, { Location: hostTargets[0].basePath });
+            res.end();
+            return;
+        }
+
+        const target = selectProxyTarget(hostTargets, requestPath);
+        if (requiresResponseRewrite(req)) {
+            target.rewriteProxy(req, res, noOp);
+            return;
+        }
+
+        target.passthroughProxy(req, res, noOp);
+    };
+}
+
+for (const target of proxyTargets) {
+    if (target.appUrl.protocol === 'https:' && !target.ssl.found) {
+        createLogger('SSL').status('WARN', `No certificate files found for ${target.appUrl.hostname}. Set STOREFRONT_HTTPS_KEY_FILE / STOREFRONT_HTTPS_CERTIFICATE_FILE or ignore if using a TLS proxy (DDEV).`);
     }
+}
 
-    if (requiresResponseRewrite(req)) {
-        rewriteProxy(req, res, noOp);
-        return;
+function createSslOptions(target) {
+    return target.proxyUrl.protocol === 'https:' && skipSslCerts === false ? {
+        key: fs.readFileSync(target.ssl.keyPath),
+        cert: fs.readFileSync(target.ssl.certPath),
+    } : {};
+}
+
+/**
+ * Domains that share a port are told apart by host name, so each one gets its own certificate through SNI.
+ * Clients without SNI, and host names without a certificate of their own, get the first domain's certificate.
+ */
+function createPortSslOptions(targets) {
+    const secureContexts = new Map();
+    for (const target of targets) {
+        const hostname = target.proxyUrl.hostname.toLowerCase();
+        if (target.proxyUrl.protocol === 'https:' && target.ssl.found && !secureContexts.has(hostname)) {
+            secureContexts.set(hostname, tls.createSecureContext(createSslOptions(target)));
+        }
     }
 
-    passthroughProxy(req, res, noOp);
+    return {
+        ...createSslOptions(targets[0]),
+        SNICallback: (servername, callback) => {
+            callback(null, secureContexts.get(String(servername || '').toLowerCase()));
+        },
+    };
+}
+
+const sslOptions = createSslOptions(primaryTarget);
+
+const liveReloadOptions = {
+    settings,
+    onFeedback: clientChannel.handleFeedback,
 };
 
-if (appUrlEnv.protocol === 'https:' && !sslFilesFound) {
-    console.warn(`[SidworksDevTools] ${tag('SSL', ANSI.yellow)} No certificate files found. Set STOREFRONT_HTTPS_KEY_FILE / STOREFRONT_HTTPS_CERTIFICATE_FILE or ignore if using a TLS proxy (DDEV).`);
-}
+let liveReloadSslOptions = sslOptions;
 
-const sslOptions = proxyUrlEnv.protocol === 'https:' && skipSslCerts === false ? {
-    key: fs.readFileSync(keyPath),
-    cert: fs.readFileSync(certPath),
-} : {};
+// Docker bind mounts and some network filesystems never deliver native events; every watcher then polls.
+const server = resolveWatchMode(projectRootPath, settings).then(({ poll }) => {
+    liveReloadOptions.poll = poll;
+    buildMetrics.start({ poll });
 
-const server = createLiveReloadServer(sslOptions).catch((e) => {
-    console.error(e);
-    console.error('Could not start the live server with the provided certificate files, falling back to http server.');
-    return createLiveReloadServer({});
-});
+    if (scssSidecar) {
+        scssSidecar.start({ poll }).catch((error) => {
+            createLogger('SCSS').status('ERR', `Failed to start sidecar: ${error.message}`, true);
+        });
+    }
 
-if (scssSidecar) {
-    scssSidecar.start().catch((error) => {
-        console.error(`[SidworksDevTools] ${tag('SCSS', ANSI.red)} Failed to start sidecar: ${error.message}`);
-    });
-}
+    changeFeedbackWatcher.start({ poll });
+    shopwareConsole.start();
 
-changeFeedbackWatcher.start();
+    return createLiveReloadServer(sslOptions, liveReloadOptions).catch((e) => {
+        proxyLog.status('WARN', `Could not start the live server with the provided certificate files, falling back to http server: ${e.message}`, true, { error: e });
+        liveReloadSslOptions = {};
+        return createLiveReloadServer({}, liveReloadOptions);
+    });
+});
 
 server.then((liveReloadServer) => {
     liveReloadServerInstance = liveReloadServer;
+    flushPendingReloadReasons();
 
-    if (pendingReloadReasons.length > 0) {
-        const pending = [...pendingReloadReasons];
-        pendingReloadReasons.length = 0;
-        for (const reason of pending) {
-            requestLiveReload(reason);
-        }
+    for (const [port, targets] of groupTargetsByPort(proxyTargets)) {
+        startProxyServer(port, targets);
     }
 
-    if (proxyUrlEnv.protocol === 'https:' && skipSslCerts === false) {
-        try {
-            const httpsServer = nodeServerHttps.createServer(sslOptions, proxy);
-            listenProxyServer(httpsServer, 'https');
-        } catch (e) {
-            console.error(e);
-            console.error('Could not start proxy with certificates, falling back to HTTP.');
-            proxyUrlEnv.protocol = 'http:';
+    // startProxyServer() falls back to HTTP when the certificate cannot be loaded.
+    if (controlEndpoint) {
+        controlEndpoint.publish(`${primaryTarget.proxyUrl.protocol}//127.0.0.1:${primaryTarget.port}`);
+    }
+
+    const protocol = primaryTarget.proxyUrl.protocol === 'https:' ? 'HTTPS' : 'HTTP';
+    const shortcutsActive = settings.keyboardShortcuts && keyboardShortcuts.start();
+    if (isJsonLogFormat()) {
+        for (const target of proxyTargets) {
+            proxyLog.status('OK', `Ready (${protocol}): ${target.appUrl.origin}${target.basePath} -> ${getProxyEntryUrl(target)}`);
+        }
+        if (dashboard) {
+            proxyLog.status('OK', `Dashboard: ${getDashboardUrl()}`);
         }
+    } else {
+        printReadyBanner(protocol, shortcutsActive);
     }
 
-    if (proxyUrlEnv.protocol === 'http:' || skipSslCerts === true) {
-        const httpServer = nodeServerHttp.createServer(proxy);
-        listenProxyServer(httpServer, 'http');
+    if (shouldOpenBrowser) {
+        openBrowserWithUrl(getProxyEntryUrl(primaryTarget));
     }
+});
 
-    const protocol = proxyUrlEnv.protocol === 'https:' ? 'HTTPS' : 'HTTP';
+function printReadyBanner(protocol, shortcutsActive) {
     console.log('');
     console.log(`[SidworksDevTools] ${colorize('Ready', ANSI.green)} (${protocol})`);
     console.log('');
-    console.log(`  Storefront  ${colorize(appUrlEnv.origin, ANSI.cyan)}`);
-    console.log(`  Hot proxy   ${colorize(proxyUrlEnv.origin, ANSI.green)}`);
-    console.log('');
+    for (const target of proxyTargets) {
+        console.log(`  Storefront  ${colorize(`${target.appUrl.origin}${target.basePath}`, ANSI.cyan)}`);
+        console.log(`  Hot proxy   ${colorize(getProxyEntryUrl(target), ANSI.green)}`);
+        console.log('');
+    }
 
-    if (shouldOpenBrowser) {
-        openBrowserWithUrl(`${proxyUrlEnv.origin}`);
+    if (dashboard) {
+        console.log(`  Dashboard   ${colorize(getDashboardUrl(), ANSI.cyan)}`);
+        console.log('');
     }
-});
+
+    if (shortcutsActive) {
+        console.log(`  Press ${colorize('h', ANSI.cyan)} for keyboard shortcuts`);
+        console.log('');
+    }
+}
+
+function getDashboardUrl() {
+    return `${primaryTarget.proxyUrl.origin}${dashboard.getPath()}`;
+}
+
+function reloadPagesManually() {
+    const sent = requestLiveReload('manual reload');
+    keysLog.status('OK', sent ? 'reload sent to open pages' : 'reload queued until webpack is ready');
+}
+
+/**
+ * Returns what was triggered; throws when SCSS cannot be recompiled right now.
+ */
+function recompileScss(reason) {
+    if (scssSidecar) {
+        scssSidecar.recompile(reason);
+        return 'SCSS compile scheduled';
+    }
+
+    if (disableScss) {
+        throw new Error('SCSS is disabled (--no-scss)');
+    }
+
+    if (!liveReloadServerInstance) {
+        throw new Error('webpack is not ready yet');
+    }
+
+    // With the webpack SCSS engine the styles are part of the webpack compile.
+    liveReloadServerInstance.invalidate();
+    return 'webpack rebuild requested';
+}
+
+async function flushCacheManually() {
+    const cacheLog = createLogger('CACHE');
+    const startedAt = Date.now();
+    cacheLog.status('RUN', `flushing cache (${translationCacheCommandParts.join(' ')})`);
+
+    try {
+        await runShopwareCacheFlush();
+    } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        cacheLog.status('ERR', `cache flush failed after ${durationMs}ms: ${error?.message || error}`, true, { durationMs, error });
+        return;
+    }
+
+    requestLiveReload('cache flushed');
+    const durationMs = Date.now() - startedAt;
+    cacheLog.status('OK', `cache flushed + reload triggered in ${durationMs}ms`, false, { durationMs });
+}
+
+async function flushTranslationCacheOnRequest() {
+    const startedAt = Date.now();
+    await flushTranslationCache();
+    requestLiveReload('control: translation cache flushed');
+
+    return { mode: translationCacheMode, durationMs: Date.now() - startedAt };
+}
+
+function describeStatus() {
+    return {
+        pid: process.pid,
+        uptimeMs: Math.round(process.uptime() * 1000),
+        ready: Boolean(liveReloadServerInstance),
+        proxies: proxyTargets.map((target) => ({
+            storefront: `${target.appUrl.origin}${target.basePath}`,
+            proxy: getProxyEntryUrl(target),
+        })),
+        scss: scssSidecar ? 'sidecar' : disableScss ? 'disabled' : 'webpack',
+        watching: {
+            js: !jsWatchPaused,
+            twig: changeFeedbackWatcher.isPipelineEnabled('twig'),
+            translation: changeFeedbackWatcher.isPipelineEnabled('translation'),
+            bulkChange: changeStorm.isActive(),
+        },
+        clients: clientChannel.countSubscribers(),
+        errors: clientChannel.listErrors(),
+        builds: buildMetrics.summarize(),
+    };
+}
+
+/**
+ * Status plus everything the dashboard shows that is too large for the control endpoint.
+ */
+function describeDashboard() {
+    return {
+        ...describeStatus(),
+        configFile: settings.configFile ? path.relative(projectRootPath, settings.configFile) : null,
+        poll: liveReloadOptions.poll ?? null,
+        settings: Object.keys(settings).map((key) => {
+            const definition = SETTINGS_SCHEMA[key];
+            const defaultValue = typeof definition.default === 'function' ? definition.default(settings) : definition.default;
+
+            return {
+                key,
+                env: definition.env,
+                value: settings[key],
+                isDefault: JSON.stringify(settings[key]) === JSON.stringify(defaultValue),
+            };
+        }),
+        watchedDirectories: changeFeedbackWatcher.getWatchedDirectories(),
+        scssFiles: scssSidecar ? scssSidecar.getWatchedFiles() : null,
+        clients: {
+            pages: clientChannel.listClients(),
+            liveReload: liveReloadServerInstance?.webSocketServer?.clients?.size || 0,
+            scssEvents: scssSidecar ? scssSidecar.countSubscribers() : 0,
+        },
+    };
+}
+
+function toggleWatcherPipeline(pipeline, label) {
+    const enabled = !changeFeedbackWatcher.isPipelineEnabled(pipeline);
+    changeFeedbackWatcher.setPipelineEnabled(pipeline, enabled);
+    keysLog.status(enabled ? 'OK' : 'WARN', `${label} watching ${enabled ? 'resumed' : 'paused, changes are skipped'}`);
+}
+
+function toggleJsWatching() {
+    const watching = liveReloadServerInstance?.middleware?.context?.watching;
+    if (!watching || typeof watching.suspend !== 'function') {
+        keysLog.status('WARN', 'webpack is not ready yet');
+        return;
+    }
+
+    jsWatchPaused = !jsWatchPaused;
+    if (jsWatchPaused) {
+        watching.suspend();
+        keysLog.status('WARN', 'webpack compiling paused, changes are compiled on resume');
+        return;
+    }
+
+    // During a change storm webpack is resumed once the storm has settled.
+    if (!suspendedWebpackWatching) {
+        watching.resume();
+    }
+    keysLog.status('OK', 'webpack compiling resumed');
+}
+
+function flushPendingReloadReasons() {
+    if (pendingReloadReasons.length === 0) {
+        return;
+    }
+
+    const pending = [...pendingReloadReasons];
+    pendingReloadReasons.length = 0;
+    for (const reason of pending) {
+        requestLiveReload(reason);
+    }
+}
+
+/**
+ * Replaces the webpack dev server with one built from a freshly loaded config (new plugin JS entries).
+ * Restarts are serialized; reload requests made in between are queued until the new server is up.
+ */
+function restartLiveReloadServer() {
+    liveReloadRestart = liveReloadRestart.catch(noOp).then(async () => {
+        const previousServer = liveReloadServerInstance;
+        if (!previousServer) {
+            return;
+        }
+
+        liveReloadServerInstance = null;
+        await previousServer.stop();
+        liveReloadServerInstance = await createLiveReloadServer(liveReloadSslOptions, liveReloadOptions);
+        if (jsWatchPaused) {
+            liveReloadServerInstance.middleware?.context?.watching?.suspend();
+        }
+        flushPendingReloadReasons();
+        requestLiveReload('plugin entries changed');
+    });
+
+    return liveReloadRestart;
+}
+
+function groupTargetsByPort(targets) {
+    const targetsByPort = new Map();
+
+    for (const target of targets) {
+        const portTargets = targetsByPort.get(target.port) || [];
+        portTargets.push(target);
+        targetsByPort.set(target.port, portTargets);
+    }
+
+    return targetsByPort;
+}
+
+function startProxyServer(port, targets) {
+    const handler = createProxyHandler(targets);
+    const [firstTarget] = targets;
+
+    if (firstTarget.proxyUrl.protocol === 'https:' && skipSslCerts === false) {
+        try {
+            const httpsServer = nodeServerHttps.createServer(createPortSslOptions(targets), handler);
+            listenProxyServer(httpsServer, 'https', port);
+            return;
+        } catch (e) {
+            proxyLog.status('WARN', `Could not start proxy with certificates, falling back to HTTP: ${e.message}`, true, { error: e });
+            for (const target of targets) {
+                target.proxyUrl.protocol = 'http:';
+            }
+        }
+    }
+
+    const httpServer = nodeServerHttp.createServer(handler);
+    listenProxyServer(httpServer, 'http', port);
+}
 
 function cleanup() {
     if (scssSidecar) {
         scssSidecar.close();
     }
     changeFeedbackWatcher.close();
+    changeStorm.close();
+    clientChannel.close();
+    shopwareConsole.close();
+    buildMetrics.close();
+    keyboardShortcuts.close();
+    if (controlEndpoint) {
+        controlEndpoint.close();
+    }
+    if (dashboard) {
+        dashboard.close();
+    }
 }
 
 process.once('SIGINT', cleanup);
 process.once('SIGTERM', cleanup);
 process.on('exit', cleanup);
 
+/**
+ * Decoders fail on an empty body ("unexpected end of file"), so bodiless responses bypass the rewrite pipeline.
+ */
+function hasResponseBody(req, proxyRes) {
+    if (req.method === 'HEAD' || proxyRes.statusCode === 204 || proxyRes.statusCode === 304) {
+        return false;
+    }
+
+    return String(proxyRes.headers['content-length'] ?? '').trim() !== '0';
+}
+
 function isDocumentRequest(req) {
     const accept = typeof req.headers.accept === 'string' ? req.headers.accept : '';
 
@@ -318,6 +904,58 @@ function openOffCanvasScript() {
     return '<script>document.addEventListener("DOMContentLoaded", () => { setTimeout(() => { if (!document.querySelector(".header-cart-total").textContent.includes("0.00")) { document.querySelector(".header-cart").click(); } }, 500); });</script>';
 }
 
+function createRewriteStreamOptions(req, mimeType, target) {
+    if (isHtmlContentType(mimeType)) {
+        return { boundaryChars: ['>'], rewriter: createDocumentRewriter(req, target) };
+    }
+
+    if (isJsonContentType(mimeType)) {
+        return { boundaryChars: ['"', ','], rewriter: { transform: target.urlRewriter.rewriteJson } };
+    }
+
+    return null;
+}
+
+function createDocumentRewriter(req, target) {
+    const requestUrl = req.url || '';
+
+    if (isLineItemRequest(requestUrl)) {
+        return {
+            transform: (segment) => segment.replace(lineItemRedirectPattern, 'content="0;url=\'?offcanvas=1\'"'),
+        };
+    }
+
+    const htmlRewriter = { transform: target.urlRewriter.rewriteHtml };
+
+    const offcanvasRewriter = requestUrl.indexOf('offcanvas=1') !== -1
+        ? { transform: (segment) => segment, end: openOffCanvasScript }
+        : null;
+
+    const sidecarInjector = scssSidecar && isDocumentRequest(req)
+        ? createHeadInjector(scssSidecar.getMarkup(target.proxyUrl.origin))
+        : null;
+
+    let templateCollector = null;
+    let clientInjector = null;
+    if (isDocumentRequest(req)) {
+        const requestedPageId = typeof req.headers['x-sidworks-hot-page'] === 'string'
+            ? req.headers['x-sidworks-hot-page']
+            : '';
+        const pageId = pageTemplates.createPage(requestedPageId);
+
+        templateCollector = pageTemplates.createCollector(pageId);
+        clientInjector = createHeadInjector(clientChannel.getMarkup(target.proxyUrl.origin, pageId));
+    }
+
+    return composeRewriters([htmlRewriter, templateCollector, offcanvasRewriter, sidecarInjector, clientInjector]);
+}
+
+function onResponseStreamError(error) {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        proxyLog.error(`Unable to stream proxied response: ${error.message}`);
+    }
+}
+
 function applyProxyHeaders(proxyRes, res) {
     if (proxyRes.statusCode) {
         res.statusCode = proxyRes.statusCode;
@@ -333,7 +971,7 @@ function applyProxyHeaders(proxyRes, res) {
 function openBrowserWithUrl(url) {
     const start = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'start' : 'xdg-open';
     const child = spawn(start, [url], { stdio: 'ignore', detached: true });
-    child.on('error', error => console.log('Unable to open browser! Details:', error));
+    child.on('error', error => proxyLog.status('WARN', `Unable to open browser! Details: ${error.message}`));
 }
 
 function parseCommandParts(commandString) {
@@ -345,50 +983,89 @@ function parseCommandParts(commandString) {
     return normalized.split(/\s+/).filter((part) => part !== '');
 }
 
-function runShopwareCacheFlush() {
-    return runShopwareConsoleCommand(translationCacheCommandParts).catch((error) => {
-        if (translationCacheFallbackCommandParts.join(' ') === translationCacheCommandParts.join(' ')) {
-            throw error;
-        }
+/**
+ * Refreshes theme.json data (styles, config defaults) into the database and re-runs the startup dump
+ * for the theme and domain selected when the watcher was started.
+ */
+async function dumpSelectedTheme() {
+    let dumpedThemeFiles = {};
+    try {
+        dumpedThemeFiles = JSON.parse(fs.readFileSync(themeFilesConfigPath, 'utf8'));
+    } catch (_error) {
+        // handled below
+    }
+
+    const themeId = typeof dumpedThemeFiles.themeId === 'string' ? dumpedThemeFiles.themeId : '';
+    const domainUrl = typeof dumpedThemeFiles.domainUrl === 'string' ? dumpedThemeFiles.domainUrl : '';
+    if (themeId === '' || domainUrl === '') {
+        throw new Error('var/theme-files.json has no themeId/domainUrl, run bin/console theme:dump once');
+    }
+
+    await shopwareConsole.run(['theme:refresh']);
+    await shopwareConsole.run(['theme:dump', themeId, domainUrl]);
+}
 
-        return runShopwareConsoleCommand(translationCacheFallbackCommandParts);
+function probeStorefront(target) {
+    return new Promise((resolve) => {
+        const client = target.appUrl.protocol === 'https:' ? nodeServerHttps : nodeServerHttp;
+        const request = client.get(`${target.appUrl.origin}${target.basePath}/`, {
+            rejectUnauthorized: false,
+            timeout: 30000,
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode || 0);
+        });
+
+        request.on('timeout', () => request.destroy());
+        request.on('error', () => resolve(0));
     });
 }
 
-function runShopwareConsoleCommand(commandParts) {
-    return new Promise((resolve, reject) => {
-        const commandArgs = [...commandParts];
-        if (!commandArgs.includes('--no-interaction') && !commandArgs.includes('-n')) {
-            commandArgs.push('--no-interaction');
+/**
+ * The first request after a container change boots (and rebuilds) the kernel, so any answer means the rebuild
+ * has finished; a 5xx answer means it failed. Connection errors and timeouts are retried until the deadline.
+ */
+async function waitForStorefront(target) {
+    const deadline = Date.now() + KERNEL_READY_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        const status = await probeStorefront(target);
+        if (status >= 500) {
+            throw new Error(`storefront answered with HTTP ${status} after the change`);
         }
 
-        const binConsole = path.resolve(projectRootPath, 'bin/console');
-        const child = spawn('php', [binConsole, ...commandArgs], {
-            cwd: projectRootPath,
-            env: process.env,
-            stdio: ['ignore', 'pipe', 'pipe'],
-        });
+        if (status > 0) {
+            return;
+        }
 
-        let output = '';
-        child.stdout.on('data', (chunk) => {
-            output += chunk.toString();
-        });
-        child.stderr.on('data', (chunk) => {
-            output += chunk.toString();
-        });
+        await new Promise((resolve) => setTimeout(resolve, KERNEL_READY_POLL_MS));
+    }
 
-        child.on('error', (error) => {
-            reject(error);
-        });
-        child.on('close', (code) => {
-            if (code === 0) {
-                resolve();
-                return;
-            }
+    throw new Error(`storefront did not answer within ${KERNEL_READY_TIMEOUT_MS / 1000}s`);
+}
 
-            const message = output.replace(/\s+/g, ' ').trim().slice(0, 320);
-            reject(new Error(message || `cache flush command failed with exit code ${code}`));
-        });
+function flushTranslationCache(changedPaths = []) {
+    if (translationCacheMode !== 'targeted') {
+        return runShopwareCacheFlush();
+    }
+
+    // A snippet file without locale in its name may belong to any snippet set, so all sets are invalidated then.
+    const locales = changedPaths.map(resolveSnippetLocale);
+    const localeOptions = locales.includes('') ? [] : [...new Set(locales)].map((locale) => `--locale=${locale}`);
+
+    return shopwareConsole.run(['sidworks:snippet-cache:invalidate', ...localeOptions]).catch((error) => {
+        createLogger('I18N').status('WARN', `Targeted cache invalidation failed, running full flush: ${error.message}`);
+        return runShopwareCacheFlush();
+    });
+}
+
+function runShopwareCacheFlush() {
+    return shopwareConsole.run(translationCacheCommandParts).catch((error) => {
+        if (translationCacheFallbackCommandParts.join(' ') === translationCacheCommandParts.join(' ')) {
+            throw error;
+        }
+
+        return shopwareConsole.run(translationCacheFallbackCommandParts);
     });
 }
 
@@ -401,6 +1078,8 @@ function requestLiveReload(reason) {
         return false;
     }
 
+    // Proxied pages reload through the client channel first, so state restore can snapshot them.
+    clientChannel.broadcast('reload', { reason: reloadReason });
     serverInstance.sendMessage(
         serverInstance.webSocketServer.clients,
         'static-changed',
@@ -419,14 +1098,22 @@ function isOffcanvasRequest(requestUrl) {
     return url.includes('/widgets/menu/offcanvas') || url.includes('/checkout/offcanvas');
 }
 
-function requiresResponseRewrite(req) {
+function isDataRequest(req) {
     const requestUrl = req.url || '';
+    const accept = typeof req.headers.accept === 'string' ? req.headers.accept : '';
 
-    return isLineItemRequest(requestUrl) || isOffcanvasRequest(requestUrl) || isDocumentRequest(req);
+    return (
+        requestUrl.startsWith('/store-api/') ||
+        requestUrl.startsWith('/widgets/') ||
+        req.headers['x-requested-with'] === 'XMLHttpRequest' ||
+        accept.includes('application/json')
+    );
 }
 
-function escapeRegExp(value) {
-    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function requiresResponseRewrite(req) {
+    const requestUrl = req.url || '';
+
+    return isLineItemRequest(requestUrl) || isOffcanvasRequest(requestUrl) || isDocumentRequest(req) || isDataRequest(req);
 }
 
 function parseUrlOrNull(value) {
@@ -441,16 +1128,16 @@ function parseUrlOrNull(value) {
     }
 }
 
-function listenProxyServer(server, protocol) {
+function listenProxyServer(server, protocol, port) {
     server.on('error', (error) => {
         if (error.code === 'EADDRINUSE') {
-            console.error(`[SidworksDevTools] Port ${proxyPort} is already in use. Stop the existing watcher or use a different STOREFRONT_PROXY_PORT.`);
+            proxyLog.error(`Port ${port} is already in use. Stop the existing watcher or use a different STOREFRONT_PROXY_PORT.`);
             process.exit(1);
         }
 
-        console.error(`[SidworksDevTools] Unable to start ${protocol} proxy server:`, error);
+        proxyLog.error(`Unable to start ${protocol} proxy server: ${error.message || error}`);
         process.exit(1);
     });
 
-    server.listen(proxyPort);
+    server.listen(port);
 }
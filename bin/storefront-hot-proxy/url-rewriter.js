@@ -0,0 +1,89 @@
+const JSON_CONTENT_TYPE_PATTERN = /^application\/(?:[\w.+-]+\+)?json$/;
+const REWRITTEN_HEADERS = ['location', 'content-location', 'link', 'refresh'];
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeJsonSlashes(value) {
+    return value.replace(/\//g, '\\/');
+}
+
+function isJsonContentType(mimeType) {
+    return JSON_CONTENT_TYPE_PATTERN.test(mimeType);
+}
+
+function createUrlRewriter({ appUrl, proxyUrl, assetOrigin }) {
+    const appOrigin = appUrl.origin;
+    const proxyOrigin = proxyUrl.origin;
+
+    const appOriginWithSlashPattern = new RegExp(escapeRegExp(`${appOrigin}/`), 'g');
+    const appOriginExactPattern = new RegExp(`${escapeRegExp(appOrigin)}(?=$|[?#"'\\s;,>])`, 'g');
+    const proxyMediaPattern = new RegExp(escapeRegExp(`${proxyOrigin}/media/`), 'g');
+    const proxyThumbnailPattern = new RegExp(escapeRegExp(`${proxyOrigin}/thumbnail/`), 'g');
+    const escapedAppOriginPattern = new RegExp(escapeRegExp(escapeJsonSlashes(`${appOrigin}/`)), 'g');
+    const escapedProxyMediaPattern = new RegExp(escapeRegExp(escapeJsonSlashes(`${proxyOrigin}/media/`)), 'g');
+    const escapedProxyThumbnailPattern = new RegExp(escapeRegExp(escapeJsonSlashes(`${proxyOrigin}/thumbnail/`)), 'g');
+    const profilerPattern = /http[s]?\\u003A\\\/\\\/[\w.]*(:\d*|\\u003A\d*)?\\\/_wdt/gm;
+    const xdebugIgnorePattern = /new\s*URL\(url\);\s*url\.searchParams\.set\('XDEBUG_IGNORE'/gm;
+    const hotProxyPathPattern = /\/_webpack_hot_proxy_\//g;
+
+    function rewriteOrigins(text) {
+        return text
+            .replace(appOriginWithSlashPattern, `${proxyOrigin}/`)
+            .replace(proxyMediaPattern, `${appOrigin}/media/`)
+            .replace(proxyThumbnailPattern, `${appOrigin}/thumbnail/`);
+    }
+
+    function rewriteHtml(text) {
+        return rewriteOrigins(text.replace(hotProxyPathPattern, `${assetOrigin}/`))
+            .replace(profilerPattern, '/_wdt')
+            .replace(xdebugIgnorePattern, 'new URL(window.location.protocol+\'//\'+window.location.host+url);                url.searchParams.set(\'XDEBUG_IGNORE\'');
+    }
+
+    function rewriteJson(text) {
+        return rewriteOrigins(text)
+            .replace(escapedAppOriginPattern, escapeJsonSlashes(`${proxyOrigin}/`))
+            .replace(escapedProxyMediaPattern, escapeJsonSlashes(`${appOrigin}/media/`))
+            .replace(escapedProxyThumbnailPattern, escapeJsonSlashes(`${appOrigin}/thumbnail/`));
+    }
+
+    function rewriteHeaderValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(rewriteHeaderValue);
+        }
+
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        return rewriteOrigins(value).replace(appOriginExactPattern, proxyOrigin);
+    }
+
+    function rewriteHeaders(headers) {
+        if (!headers || typeof headers !== 'object') {
+            return headers;
+        }
+
+        for (const header of REWRITTEN_HEADERS) {
+            if (typeof headers[header] !== 'undefined') {
+                headers[header] = rewriteHeaderValue(headers[header]);
+            }
+        }
+
+        return headers;
+    }
+
+    return {
+        rewriteHtml,
+        rewriteJson,
+        rewriteHeaderValue,
+        rewriteHeaders,
+    };
+}
+
+module.exports = {
+    escapeRegExp,
+    isJsonContentType,
+    createUrlRewriter,
+};
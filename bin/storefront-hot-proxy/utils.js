@@ -1,3 +1,4 @@
+const fs = require('node:fs');
 const path = require('node:path');
 
 const ANSI = {
@@ -56,20 +57,33 @@ function summarizeFiles(files) {
     return `${unique.slice(0, 3).join(', ')} +${unique.length - 3} more`;
 }
 
-function asString(value, defaultValue) {
-    if (typeof value === 'undefined' || value === null || value === '') {
-        return defaultValue;
+function readSourceSnippet(filePath, line, column = 0, radius = 2) {
+    if (typeof filePath !== 'string' || filePath === '' || !Number.isInteger(line) || line < 1) {
+        return '';
     }
 
-    return String(value);
-}
+    let lines;
+    try {
+        lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+    } catch (_error) {
+        return '';
+    }
+
+    const firstLine = Math.max(1, line - radius);
+    const lastLine = Math.min(lines.length, line + radius);
+    const gutterWidth = String(lastLine).length;
+    const output = [];
 
-function asBoolean(value, defaultValue) {
-    if (typeof value === 'undefined' || value === '') {
-        return defaultValue;
+    for (let current = firstLine; current <= lastLine; current++) {
+        const marker = current === line ? '>' : ' ';
+        output.push(`${marker} ${String(current).padStart(gutterWidth)} | ${lines[current - 1]}`);
+
+        if (current === line && column > 0) {
+            output.push(`  ${' '.repeat(gutterWidth)} | ${' '.repeat(column - 1)}^`);
+        }
     }
 
-    return value !== '0' && value !== 'false';
+    return output.join('\n');
 }
 
 function getSassDeprecationsToSilence(sassImplementation) {
@@ -83,26 +97,116 @@ function getSassDeprecationsToSilence(sassImplementation) {
     return silenced;
 }
 
+const LOG_FORMATS = ['text', 'json'];
+
+let logFormat = 'text';
+
+function setLogFormat(format) {
+    logFormat = LOG_FORMATS.includes(format) ? format : 'text';
+}
+
+function isJsonLogFormat() {
+    return logFormat === 'json';
+}
+
+function stripAnsi(text) {
+    return String(text).replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+function toErrorDetails(error) {
+    if (error === undefined || error === null || error === '') {
+        return null;
+    }
+
+    if (typeof error === 'string') {
+        return { message: stripAnsi(error) };
+    }
+
+    const details = { message: stripAnsi(error.message || String(error)) };
+    for (const key of ['title', 'file', 'line', 'column', 'code']) {
+        if (error[key] !== undefined && error[key] !== '' && error[key] !== 0) {
+            details[key] = error[key];
+        }
+    }
+
+    return details;
+}
+
+const logListeners = new Set();
+
+/**
+ * Normalizes a log record so every consumer sees the same keys: `time`, `subsystem`, `status`, `message`,
+ * `durationMs`, `files` and `error`.
+ */
+function createLogRecord(record) {
+    return {
+        time: new Date().toISOString(),
+        subsystem: record.subsystem || 'PROXY',
+        status: record.status || 'INFO',
+        message: stripAnsi(record.message || ''),
+        durationMs: Number.isFinite(record.durationMs) ? Math.round(record.durationMs) : null,
+        files: Array.isArray(record.files) ? record.files.filter((file) => typeof file === 'string' && file !== '') : [],
+        error: toErrorDetails(record.error),
+    };
+}
+
+/**
+ * Calls `listener` with every record logged through a `createLogger()` logger, in both log formats.
+ * Returns a function that removes the listener.
+ */
+function addLogListener(listener) {
+    logListeners.add(listener);
+
+    return () => logListeners.delete(listener);
+}
+
+function notifyLogListeners(record) {
+    for (const listener of logListeners) {
+        try {
+            listener(record);
+        } catch (_error) {
+            // a broken listener must not break logging
+        }
+    }
+}
+
+/**
+ * `details` (`durationMs`, `files`, `error`) are only used by the JSON log format and log listeners; the text
+ * format already carries them in the message.
+ */
 function createLogger(prefix) {
+    function emit(record, textLine, asError) {
+        const normalizedRecord = createLogRecord(record);
+        notifyLogListeners(normalizedRecord);
+
+        if (isJsonLogFormat()) {
+            process.stdout.write(`${JSON.stringify(normalizedRecord)}\n`);
+            return;
+        }
+
+        if (asError) {
+            console.error(textLine);
+            return;
+        }
+
+        console.log(textLine);
+    }
+
     return {
-        log(message) {
-            console.log(`[SidworksDevTools] ${tag(prefix)} ${message}`);
+        log(message, details = {}) {
+            emit({ ...details, subsystem: prefix, status: 'INFO', message }, `[SidworksDevTools] ${tag(prefix)} ${message}`, false);
         },
-        error(message) {
-            console.error(`[SidworksDevTools] ${tag(prefix)} ${message}`);
+        error(message, details = {}) {
+            emit({ error: message, ...details, subsystem: prefix, status: 'ERR', message }, `[SidworksDevTools] ${tag(prefix)} ${message}`, true);
         },
-        status(status, message, asError = false) {
+        status(status, message, asError = false, details = {}) {
+            const error = details.error !== undefined ? details.error : (asError ? message : null);
             const statusColor = status === 'OK' ? ANSI.green
                 : status === 'ERR' ? ANSI.red
                     : ANSI.yellow;
             const line = `[SidworksDevTools] ${tag(prefix)} ${colorize(`[${status}]`, statusColor)} ${message}`;
 
-            if (asError) {
-                console.error(line);
-                return;
-            }
-
-            console.log(line);
+            emit({ ...details, subsystem: prefix, status, message, error }, line, asError);
         },
     };
 }
@@ -115,8 +219,10 @@ module.exports = {
     tag,
     formatFilePath,
     summarizeFiles,
-    asString,
-    asBoolean,
+    readSourceSnippet,
     getSassDeprecationsToSilence,
+    setLogFormat,
+    isJsonLogFormat,
+    addLogListener,
     createLogger,
 };
@@ -0,0 +1,217 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DEFAULT_IGNORED = [
+    '**/.git/**',
+    '**/node_modules/**',
+    '**/public/theme/**',
+    '**/var/cache/**',
+    '**/var/.sidworks-hot/**',
+];
+
+const DEFAULT_TWIG_GLOBS = [
+    'custom/plugins/**/src/Resources/views/**/*.twig',
+    'custom/apps/**/Resources/views/**/*.twig',
+    'src/Resources/views/**/*.twig',
+    'templates/**/*.twig',
+    'vendor/shopware/storefront/Resources/views/**/*.twig',
+];
+
+// Paths the watchers need regardless of .gitignore; rules that would hide them are skipped.
+const PROTECTED_PATHS = [
+    'var/plugins.json',
+    'var/theme-files.json',
+    'var/theme-variables.scss',
+    'var/config_js_features.json',
+    'files/theme-config/index.json',
+    'vendor/shopware/storefront/Resources/views/storefront/base.html.twig',
+    'vendor/shopware/storefront/Resources/app/storefront/src/scss/base.scss',
+    'src/Resources/views',
+    'templates',
+];
+
+// Directories whose subdirectories are plugins or apps with their own templates.
+const EXTENSION_ROOTS = ['custom/plugins', 'custom/apps'];
+
+function toPosixPath(filePath) {
+    return String(filePath || '').replace(/\\/g, '/');
+}
+
+function globToRegExp(glob) {
+    let source = '';
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index];
+        if (char === '*' && glob[index + 1] === '*') {
+            const followedBySlash = glob[index + 2] === '/';
+            source += followedBySlash ? '(?:.*/)?' : '.*';
+            index += followedBySlash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Converts .gitignore rules into absolute globs, one list per rule. Negations (`!`) cannot be expressed
+ * as ignore globs and are skipped.
+ */
+function gitignoreToGlobs(source, baseDirectory) {
+    const base = toPosixPath(baseDirectory).replace(/\/$/, '');
+    const rules = [];
+
+    for (const rawLine of String(source || '').split(/\r?\n/)) {
+        let rule = rawLine.replace(/\s+$/, '');
+        if (rule === '' || rule.startsWith('#') || rule.startsWith('!')) {
+            continue;
+        }
+
+        rule = rule.replace(/^\\/, '');
+        const directoryOnly = rule.endsWith('/');
+        rule = rule.replace(/\/+$/, '');
+        if (rule === '') {
+            continue;
+        }
+
+        const anchored = rule.includes('/');
+        const pattern = anchored ? `${base}/${rule.replace(/^\/+/, '')}` : `**/${rule}`;
+
+        rules.push(directoryOnly ? [`${pattern}/**`] : [pattern, `${pattern}/**`]);
+    }
+
+    return rules;
+}
+
+function withAncestors(filePath) {
+    const paths = [];
+    let current = filePath;
+    while (current !== '' && current !== '/' && !paths.includes(current)) {
+        paths.push(current);
+        current = path.posix.dirname(current);
+    }
+
+    return paths;
+}
+
+function listSubdirectories(directory) {
+    try {
+        return fs.readdirSync(directory, { withFileTypes: true })
+            .filter((entry) => entry.isDirectory())
+            .map((entry) => path.join(directory, entry.name));
+    } catch (_error) {
+        return [];
+    }
+}
+
+/**
+ * The plugin, app and extra root directories that exist right now, so .gitignore rules such as
+ * `/custom/plugins/*` are checked against real template locations.
+ */
+function collectTemplateRoots(rootPath, extraRoots) {
+    const roots = [...EXTENSION_ROOTS.map((root) => path.resolve(rootPath, root)), ...extraRoots];
+
+    return roots.flatMap((root) => [root, ...listSubdirectories(root)]);
+}
+
+function readGitignoreGlobs(directory) {
+    try {
+        return gitignoreToGlobs(fs.readFileSync(path.join(directory, '.gitignore'), 'utf8'), directory);
+    } catch (_error) {
+        return [];
+    }
+}
+
+function toAbsoluteGlob(glob, rootPath) {
+    if (glob.startsWith('**') || path.isAbsolute(glob)) {
+        return toPosixPath(glob);
+    }
+
+    return `${toPosixPath(rootPath)}/${toPosixPath(glob).replace(/^\.\//, '')}`;
+}
+
+// The directory part of a glob before its first wildcard, e.g. `/app/vendor/acme` for `/app/vendor/acme/**/*.twig`.
+function globBase(absoluteGlob) {
+    const segments = absoluteGlob.split('/');
+    const wildcardIndex = segments.findIndex((segment) => /[*?[{]/.test(segment));
+
+    return segments.slice(0, wildcardIndex === -1 ? segments.length - 1 : wildcardIndex).join('/');
+}
+
+/**
+ * Returns a function that tells whether an absolute file path matches any of the absolute globs.
+ */
+function createGlobMatcher(globs) {
+    const matchers = globs.map(globToRegExp);
+
+    return (filePath) => {
+        const normalizedPath = toPosixPath(filePath);
+
+        return matchers.some((matcher) => matcher.test(normalizedPath));
+    };
+}
+
+/**
+ * Shared watch settings for the change watcher, the SCSS sidecar and webpack:
+ *
+ * - `extraRoots`: absolute directories watched in addition to the defaults (`settings.watchRoots`)
+ * - `ignored`: globs ignored by every watcher (defaults, `settings.watchIgnore`, optionally .gitignore)
+ * - `twigGlobs`: absolute globs of the Twig files watched in `narrow` Twig watch mode, including the extra roots
+ *   and `settings.twigWatchGlobs`
+ * - `twigRoots`: existing directories of `settings.twigWatchGlobs` outside the usual watch directories
+ */
+function resolveWatchConfig(projectRoot, settings) {
+    const rootPath = path.resolve(projectRoot);
+    const extraRoots = settings.watchRoots.map((root) => path.resolve(rootPath, root));
+    const ignored = [
+        ...DEFAULT_IGNORED,
+        ...settings.watchIgnore.map((glob) => toAbsoluteGlob(glob, rootPath)),
+    ];
+
+    if (settings.watchGitignore) {
+        const protectedPaths = [
+            ...PROTECTED_PATHS.map((protectedPath) => `${toPosixPath(rootPath)}/${protectedPath}`),
+            ...collectTemplateRoots(rootPath, extraRoots).map(toPosixPath),
+        ].flatMap(withAncestors);
+
+        for (const directory of [rootPath, ...extraRoots]) {
+            for (const ruleGlobs of readGitignoreGlobs(directory)) {
+                const matchers = ruleGlobs.map(globToRegExp);
+                const hidesProtectedPath = protectedPaths.some((protectedPath) => {
+                    return matchers.some((matcher) => matcher.test(protectedPath));
+                });
+
+                if (!hidesProtectedPath) {
+                    ignored.push(...ruleGlobs);
+                }
+            }
+        }
+    }
+
+    const configuredTwigGlobs = settings.twigWatchGlobs.map((glob) => toAbsoluteGlob(glob, rootPath));
+    const twigGlobs = [
+        ...DEFAULT_TWIG_GLOBS.map((glob) => toAbsoluteGlob(glob, rootPath)),
+        ...extraRoots.map((root) => `${toPosixPath(root)}/**/*.twig`),
+        ...configuredTwigGlobs,
+    ];
+    const twigRoots = configuredTwigGlobs
+        .map(globBase)
+        .filter((directory) => directory !== '' && fs.existsSync(directory))
+        .map((directory) => path.resolve(directory));
+
+    return {
+        extraRoots,
+        ignored: [...new Set(ignored)],
+        twigGlobs: [...new Set(twigGlobs)],
+        twigRoots: [...new Set(twigRoots)],
+    };
+}
+
+module.exports = {
+    createGlobMatcher,
+    resolveWatchConfig,
+};
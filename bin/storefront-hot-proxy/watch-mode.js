@@ -0,0 +1,167 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { createLogger } = require('./utils');
+
+const PROBE_TIMEOUT_MS = 1500;
+const PROBE_WRITE_DELAY_MS = 50;
+const CONTAINER_MARKERS = ['/.dockerenv', '/run/.containerenv'];
+const CONTAINER_CGROUP_PATTERN = /docker|kubepods|containerd|libpod|lxc/;
+// Filesystems that share host files into a container or VM. Edits made on the host raise no inotify event inside.
+const HOST_SHARED_FILESYSTEMS = ['9p', 'virtiofs', 'fakeowner', 'grpcfuse', 'fuse.grpcfuse', 'osxfs', 'fuse.osxfs', 'vboxsf', 'nfs', 'nfs4', 'cifs', 'smb3'];
+
+const log = createLogger('WATCH');
+
+function removeFile(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch (_error) {
+        // already gone
+    }
+}
+
+function readText(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (_error) {
+        return '';
+    }
+}
+
+function isInContainer() {
+    return CONTAINER_MARKERS.some((marker) => fs.existsSync(marker))
+        || CONTAINER_CGROUP_PATTERN.test(readText('/proc/1/cgroup'));
+}
+
+// mountinfo escapes spaces and other special characters as octal, e.g. `\040`.
+function decodeMountPath(value) {
+    return value.replace(/\\([0-7]{3})/g, (_match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+/**
+ * Returns the filesystem type of the mount containing `targetPath` from /proc/self/mountinfo, or '' when unknown.
+ */
+function resolveMountType(targetPath) {
+    let closest = { mountPoint: '', type: '' };
+
+    for (const line of readText('/proc/self/mountinfo').split('\n')) {
+        const [mountFields, filesystemFields] = line.split(' - ');
+        if (!filesystemFields) {
+            continue;
+        }
+
+        const mountPoint = decodeMountPath(mountFields.split(' ')[4] || '');
+        const containsTarget = mountPoint === '/' || targetPath === mountPoint || targetPath.startsWith(`${mountPoint}/`);
+        // Later entries are mounted on top of earlier ones on the same path.
+        if (containsTarget && mountPoint.length >= closest.mountPoint.length) {
+            closest = { mountPoint, type: filesystemFields.split(' ')[0] };
+        }
+    }
+
+    return closest.type;
+}
+
+/**
+ * Returns the filesystem type when the project sits on a host share inside a container, otherwise ''.
+ * The native event probe cannot notice this case: its own write happens inside the container and is reported.
+ */
+function detectHostMount(projectRoot) {
+    if (!isInContainer()) {
+        return '';
+    }
+
+    let realRoot = projectRoot;
+    try {
+        realRoot = fs.realpathSync(projectRoot);
+    } catch (_error) {
+        // keep the configured path
+    }
+
+    const type = resolveMountType(realRoot);
+
+    return HOST_SHARED_FILESYSTEMS.includes(type) ? type : '';
+}
+
+/**
+ * Writes a file under var/.sidworks-hot and resolves true when fs.watch (which Watchpack uses natively)
+ * reports it within PROBE_TIMEOUT_MS.
+ */
+function probeNativeEvents(projectRoot) {
+    const probeDirectory = path.resolve(projectRoot, 'var/.sidworks-hot/watch-probe');
+    const probeFileName = `probe-${process.pid}`;
+    const probeFilePath = path.join(probeDirectory, probeFileName);
+
+    return new Promise((resolve) => {
+        let watcher = null;
+        let writeTimer = null;
+        let timeoutTimer = null;
+
+        function finish(result) {
+            clearTimeout(writeTimer);
+            clearTimeout(timeoutTimer);
+            if (watcher) {
+                watcher.close();
+                watcher = null;
+            }
+            removeFile(probeFilePath);
+            resolve(result);
+        }
+
+        try {
+            fs.mkdirSync(probeDirectory, { recursive: true });
+            watcher = fs.watch(probeDirectory, (_eventType, fileName) => {
+                if (!fileName || String(fileName) === probeFileName) {
+                    finish(true);
+                }
+            });
+            watcher.on('error', () => finish(false));
+        } catch (_error) {
+            finish(false);
+            return;
+        }
+
+        writeTimer = setTimeout(() => {
+            try {
+                fs.writeFileSync(probeFilePath, String(Date.now()));
+            } catch (_error) {
+                finish(false);
+            }
+        }, PROBE_WRITE_DELAY_MS);
+        timeoutTimer = setTimeout(() => finish(false), PROBE_TIMEOUT_MS);
+    });
+}
+
+/**
+ * Resolves `{ poll, reason }` where `poll` is false for native file events or the polling interval in ms.
+ * `settings.watchPoll`: `auto` polls for host shares inside a container and probes the filesystem otherwise,
+ * `on` forces polling, `off` keeps native events.
+ */
+async function resolveWatchMode(projectRoot, settings) {
+    const interval = settings.watchPollInterval || 1000;
+
+    if (settings.watchPoll === 'off') {
+        return { poll: false, reason: 'disabled' };
+    }
+
+    if (settings.watchPoll === 'on') {
+        log.log(`polling every ${interval}ms (watchPoll: on)`);
+        return { poll: interval, reason: 'forced' };
+    }
+
+    const hostMountType = detectHostMount(projectRoot);
+    if (hostMountType) {
+        log.status('WARN', `project is shared from the host (${hostMountType}), polling every ${interval}ms (set SHOPWARE_STOREFRONT_WATCH_POLL=0 or watchPoll: 'off' to use native events)`);
+        return { poll: interval, reason: 'host mount' };
+    }
+
+    if (await probeNativeEvents(projectRoot)) {
+        return { poll: false, reason: 'native events detected' };
+    }
+
+    log.status('WARN', `no native file event within ${PROBE_TIMEOUT_MS}ms, polling every ${interval}ms (set SHOPWARE_STOREFRONT_WATCH_POLL=0 or watchPoll: 'off' to skip the probe)`);
+    return { poll: interval, reason: 'no native events' };
+}
+
+module.exports = {
+    resolveWatchMode,
+};
@@ -0,0 +1,172 @@
+<?php declare(strict_types=1);
+
+namespace Sidworks\DevTools\Command;
+
+use Symfony\Component\Console\Attribute\AsCommand;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\ArgvInput;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\BufferedOutput;
+use Symfony\Component\Console\Output\ConsoleOutputInterface;
+use Symfony\Component\Console\Output\ConsoleSectionOutput;
+use Symfony\Component\Console\Output\OutputInterface;
+use Symfony\Contracts\Service\ResetInterface;
+
+/**
+ * Long-lived helper for the storefront watcher: runs allowlisted console commands inside the already
+ * booted kernel instead of paying a full kernel boot per command.
+ *
+ * Protocol (one JSON document per line):
+ *   stdin:  {"id": 1, "command": ["lint:twig", "file.html.twig", "--format=json"]}
+ *   stdout: SWDT_WORKER {"id": 1, "exitCode": 0, "output": "...", "errorOutput": "..."}
+ *
+ * `output` and `errorOutput` are what the command wrote to stdout and stderr in a separate process.
+ * After a command that clears the container cache the worker exits, so the next command boots a fresh kernel.
+ */
+#[AsCommand(
+    name: 'sidworks:console-worker',
+    description: 'Run watcher console commands in a persistent process (used by sidworks:watch-storefront)',
+    hidden: true,
+)]
+class ConsoleWorkerCommand extends Command
+{
+    public const RESPONSE_PREFIX = 'SWDT_WORKER ';
+
+    private const ALLOWED_COMMANDS = [
+        'lint:twig',
+        'sidworks:snippet-cache:invalidate',
+        'theme:refresh',
+        'theme:dump',
+        'theme:compile',
+        'cache:clear',
+        'cache:clear:all',
+        'cache:flush:all',
+        'cache:pool:clear',
+    ];
+
+    private const KERNEL_RESETTING_COMMANDS = [
+        'cache:clear',
+        'cache:clear:all',
+    ];
+
+    public function __construct(private readonly ResetInterface $servicesResetter)
+    {
+        parent::__construct();
+    }
+
+    protected function configure(): void
+    {
+        $this->addOption('max-commands', null, InputOption::VALUE_REQUIRED, 'Exit after this many commands so the watcher starts a fresh process', '200');
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $maxCommands = max(1, (int) $input->getOption('max-commands'));
+        $handled = 0;
+
+        $this->respond($output, ['ready' => true]);
+
+        while ($handled < $maxCommands && ($line = fgets(\STDIN)) !== false) {
+            $line = trim($line);
+            if ($line === '') {
+                continue;
+            }
+
+            $request = json_decode($line, true);
+            if (!\is_array($request) || !isset($request['id']) || !\is_array($request['command'] ?? null)) {
+                $this->respond($output, ['id' => null, 'exitCode' => 1, 'output' => 'Invalid worker request']);
+
+                continue;
+            }
+
+            $commandParts = array_map('strval', $request['command']);
+            $this->respond($output, ['id' => $request['id'], ...$this->runCommand($commandParts)]);
+            ++$handled;
+
+            // Requests already queued are answered by the exit: the watcher reruns them in a separate process.
+            if (\in_array($commandParts[0] ?? '', self::KERNEL_RESETTING_COMMANDS, true)) {
+                break;
+            }
+        }
+
+        return self::SUCCESS;
+    }
+
+    /**
+     * @param list<string> $commandParts
+     *
+     * @return array{exitCode: int, output: string, errorOutput?: string, unsupported?: bool}
+     */
+    private function runCommand(array $commandParts): array
+    {
+        $commandName = $commandParts[0] ?? '';
+        if (!\in_array($commandName, self::ALLOWED_COMMANDS, true)) {
+            return ['exitCode' => 1, 'output' => \sprintf('Command "%s" is not allowed in the console worker', $commandName), 'unsupported' => true];
+        }
+
+        $application = $this->getApplication();
+        if ($application === null) {
+            return ['exitCode' => 1, 'output' => 'Console application not available', 'unsupported' => true];
+        }
+
+        $buffer = $this->createBufferedConsoleOutput();
+
+        try {
+            $commandInput = new ArgvInput(['bin/console', ...$commandParts]);
+            $commandInput->setInteractive(false);
+            $exitCode = $application->find($commandName)->run($commandInput, $buffer);
+        } catch (\Throwable $exception) {
+            $exitCode = 1;
+            $buffer->getErrorOutput()->writeln($exception->getMessage());
+        } finally {
+            $this->servicesResetter->reset();
+        }
+
+        return ['exitCode' => $exitCode, 'output' => $buffer->fetch(), 'errorOutput' => $buffer->getErrorOutput()->fetch()];
+    }
+
+    /**
+     * Commands write warnings and errors to getErrorOutput() when they get a ConsoleOutputInterface,
+     * which keeps machine-readable stdout (e.g. `lint:twig --format=json`) clean.
+     */
+    private function createBufferedConsoleOutput(): BufferedOutput&ConsoleOutputInterface
+    {
+        return new class extends BufferedOutput implements ConsoleOutputInterface {
+            private BufferedOutput $errorOutput;
+
+            public function __construct()
+            {
+                parent::__construct();
+                $this->errorOutput = new BufferedOutput();
+            }
+
+            public function getErrorOutput(): BufferedOutput
+            {
+                return $this->errorOutput;
+            }
+
+            public function setErrorOutput(OutputInterface $error): void
+            {
+                if (!$error instanceof BufferedOutput) {
+                    throw new \InvalidArgumentException('The console worker buffers error output');
+                }
+
+                $this->errorOutput = $error;
+            }
+
+            public function section(): ConsoleSectionOutput
+            {
+                throw new \LogicException('Output sections are not supported in the console worker');
+            }
+        };
+    }
+
+    /**
+     * @param array<string, mixed> $payload
+     */
+    private function respond(OutputInterface $output, array $payload): void
+    {
+        $output->writeln(self::RESPONSE_PREFIX . json_encode($payload, \JSON_UNESCAPED_SLASHES | \JSON_INVALID_UTF8_SUBSTITUTE), OutputInterface::OUTPUT_RAW);
+    }
+}
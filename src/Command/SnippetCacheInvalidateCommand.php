@@ -0,0 +1,104 @@
+<?php declare(strict_types=1);
+
+namespace Sidworks\DevTools\Command;
+
+use Doctrine\DBAL\ArrayParameterType;
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Defaults;
+use Shopware\Core\Framework\Adapter\Cache\CacheInvalidator;
+use Symfony\Component\Console\Attribute\AsCommand;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+
+/**
+ * Invalidates only the cached translation catalogs of the given locales, used by the storefront
+ * watcher after snippet changes instead of a full cache:flush:all. Every snippet set falls back to the
+ * locale of the system language, so a change to that locale invalidates all catalogs.
+ */
+#[AsCommand(
+    name: 'sidworks:snippet-cache:invalidate',
+    description: 'Invalidate cached translation catalogs for the given snippet set locales',
+)]
+class SnippetCacheInvalidateCommand extends Command
+{
+    private const CATALOG_TAG_PREFIX = 'translation.catalog.';
+
+    public function __construct(
+        private readonly Connection $connection,
+        private readonly CacheInvalidator $cacheInvalidator
+    ) {
+        parent::__construct();
+    }
+
+    protected function configure(): void
+    {
+        $this->addOption(
+            'locale',
+            'l',
+            InputOption::VALUE_REQUIRED | InputOption::VALUE_IS_ARRAY,
+            'Snippet set ISO code (e.g. de-DE). Invalidates all snippet sets when omitted.'
+        );
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $locales = array_values(array_filter(
+            array_map('strval', (array) $input->getOption('locale')),
+            static fn (string $locale): bool => $locale !== ''
+        ));
+
+        $fallbackLocale = $this->fetchSystemFallbackLocale();
+        if ($fallbackLocale !== null && \in_array($fallbackLocale, $locales, true)) {
+            $output->writeln(\sprintf('%s is the fallback locale, invalidating all snippet sets', $fallbackLocale));
+            $locales = [];
+        }
+
+        $snippetSetIds = $this->fetchSnippetSetIds($locales);
+        if ($snippetSetIds === []) {
+            $output->writeln(\sprintf('<error>No snippet set found for: %s</error>', implode(', ', $locales)));
+
+            return self::FAILURE;
+        }
+
+        $tags = array_map(
+            static fn (string $snippetSetId): string => self::CATALOG_TAG_PREFIX . $snippetSetId,
+            $snippetSetIds
+        );
+
+        $this->cacheInvalidator->invalidate($tags, true);
+
+        $output->writeln(\sprintf('Invalidated %d translation catalog(s)', \count($tags)));
+
+        return self::SUCCESS;
+    }
+
+    private function fetchSystemFallbackLocale(): ?string
+    {
+        $code = $this->connection->fetchOne(
+            'SELECT locale.code FROM language INNER JOIN locale ON locale.id = language.locale_id WHERE language.id = :languageId',
+            ['languageId' => hex2bin(Defaults::LANGUAGE_SYSTEM)]
+        );
+
+        return \is_string($code) && $code !== '' ? $code : null;
+    }
+
+    /**
+     * @param list<string> $locales
+     *
+     * @return list<string>
+     */
+    private function fetchSnippetSetIds(array $locales): array
+    {
+        if ($locales === []) {
+            return $this->connection->fetchFirstColumn('SELECT LOWER(HEX(id)) FROM snippet_set');
+        }
+
+        return $this->connection->fetchFirstColumn(
+            'SELECT LOWER(HEX(id)) FROM snippet_set WHERE iso IN (:locales)',
+            ['locales' => $locales],
+            ['locales' => ArrayParameterType::STRING]
+        );
+    }
+}
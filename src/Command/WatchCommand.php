@@ -16,6 +16,25 @@ use Symfony\Component\Process\Process;
 )]
 class WatchCommand extends Command
 {
+    /**
+     * Defaults of this command are handed to the hot proxy separately, so a project config file
+     * (sidworks-hot.config.js/json) can override them while real environment variables still win.
+     */
+    private const LAUNCHER_DEFAULTS_ENV = 'SHOPWARE_STOREFRONT_HOT_DEFAULTS';
+
+    private const CONFIG_FILE_NAMES = ['sidworks-hot.config.js', 'sidworks-hot.config.json'];
+
+    /**
+     * Launcher default only. Started without this command, the hot proxy keeps webpack (settings.js).
+     */
+    private const DEFAULT_SCSS_ENGINE = 'sass-cli';
+
+    /**
+     * Boolean spellings accepted by the hot proxy (coerceValue() in bin/storefront-hot-proxy/settings.js).
+     */
+    private const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+    private const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
     protected function configure(): void
     {
         $this
@@ -81,15 +100,14 @@ class WatchCommand extends Command
 
         $hotEnvironment = $this->buildHotEnvironment(
             $projectRoot,
-            $scssEngine,
             $disableJs,
             $disableTwig,
             $disableScss,
             $openBrowser
         );
 
-        $proxyPort = (int) ($hotEnvironment['STOREFRONT_PROXY_PORT'] ?? 9998) ?: 9998;
-        $assetPort = (int) ($hotEnvironment['STOREFRONT_ASSETS_PORT'] ?? 9999) ?: 9999;
+        $proxyPort = (int) $this->setting($hotEnvironment, 'STOREFRONT_PROXY_PORT', '9998') ?: 9998;
+        $assetPort = (int) $this->setting($hotEnvironment, 'STOREFRONT_ASSETS_PORT', '9999') ?: 9999;
         $this->killProcessesOnPorts([$proxyPort, $assetPort], $io);
 
         $this->renderStartupOverview(
@@ -111,7 +129,7 @@ class WatchCommand extends Command
         }
 
         $autoInstallSassEmbedded = $this->shouldAutoInstallSassEmbedded(
-            ($hotEnvironment['SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED'] ?? '1') === '1',
+            $this->flag($hotEnvironment, 'SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED', true),
             $disableScss
         );
 
@@ -186,20 +204,27 @@ class WatchCommand extends Command
         array $hotEnvironment,
         bool $skipThemeDump
     ): void {
-        $disableJs = ($hotEnvironment['SHOPWARE_STOREFRONT_DISABLE_JS'] ?? '0') === '1';
-        $disableTwig = ($hotEnvironment['SHOPWARE_STOREFRONT_DISABLE_TWIG'] ?? '0') === '1';
-        $disableScss = ($hotEnvironment['SHOPWARE_STOREFRONT_DISABLE_SCSS'] ?? '0') === '1';
-        $scssEngine = $hotEnvironment['SHOPWARE_STOREFRONT_SCSS_ENGINE'] ?? 'webpack';
+        $disableJs = $this->flag($hotEnvironment, 'SHOPWARE_STOREFRONT_DISABLE_JS', false);
+        $disableTwig = $this->flag($hotEnvironment, 'SHOPWARE_STOREFRONT_DISABLE_TWIG', false);
+        $disableScss = $this->flag($hotEnvironment, 'SHOPWARE_STOREFRONT_DISABLE_SCSS', false);
+        $scssEngine = $this->setting($hotEnvironment, 'SHOPWARE_STOREFRONT_SCSS_ENGINE', self::DEFAULT_SCSS_ENGINE);
 
         $io->title('Sidworks Storefront Watcher');
 
-        $io->definitionList(
+        $definitions = [
             ['Package manager' => \sprintf('<info>%s</info>', $packageManager)],
             ['Storefront' => \sprintf('<comment>%s</comment>', $this->formatPathForDisplay($storefrontApp, $projectRoot))],
             ['Hot proxy runtime' => \sprintf('<comment>%s</comment>', $this->formatPathForDisplay($hotProxyScript, $projectRoot))],
             ['SCSS engine' => \sprintf('<info>%s</info>', $scssEngine)],
-            ['Parallelism' => \sprintf('<info>%s</info> cores', $hotEnvironment['SHOPWARE_BUILD_PARALLELISM'])],
-        );
+            ['Parallelism' => \sprintf('<info>%s</info> cores', $this->setting($hotEnvironment, 'SHOPWARE_BUILD_PARALLELISM', '1'))],
+        ];
+
+        $configFile = $this->findProjectConfigFile($projectRoot);
+        if ($configFile !== null) {
+            $definitions[] = ['Project config' => \sprintf('<comment>%s</comment> (applied by the hot proxy, may override the values above)', $this->formatPathForDisplay($configFile, $projectRoot))];
+        }
+
+        $io->definitionList(...$definitions);
 
         $io->table(
             ['Option', 'State'],
@@ -208,7 +233,7 @@ class WatchCommand extends Command
                 ['JS compilation', $this->formatOnOff(!$disableJs, $disableJs ? '--no-js' : null)],
                 ['Twig watch', $this->formatOnOff(!$disableTwig, $disableTwig ? '--no-twig' : null)],
                 ['SCSS compilation', $this->formatOnOff(!$disableScss, $disableScss ? '--no-scss' : null)],
-                ['Auto-open browser', $this->formatOnOff(($hotEnvironment['SHOPWARE_STOREFRONT_OPEN_BROWSER'] ?? '0') === '1')],
+                ['Auto-open browser', $this->formatOnOff($this->flag($hotEnvironment, 'SHOPWARE_STOREFRONT_OPEN_BROWSER', false))],
             ]
         );
     }
@@ -366,27 +391,32 @@ class WatchCommand extends Command
         return 'npm';
     }
 
+    /**
+     * Only values forced by command options are passed as environment variables. The defaults of this command
+     * go into SHOPWARE_STOREFRONT_HOT_DEFAULTS so the project config file can override them; environment
+     * variables set by the user are inherited by the hot proxy process as they are.
+     */
     private function buildHotEnvironment(
         string $projectRoot,
-        string $scssEngine,
         bool $disableJs,
         bool $disableTwig,
         bool $disableScss,
         bool $openBrowser
     ): array {
-        $buildParallelism = $this->env('SHOPWARE_BUILD_PARALLELISM', '');
-        if ($buildParallelism === '') {
-            $buildParallelism = (string) max(1, $this->detectCpuCount() - 1);
-        }
-
-        $twigWatchMode = $disableTwig ? 'off' : 'narrow';
-        $useSassEmbedded = $this->env('SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED', '1');
-        $scssSourceMapEnabled = $this->env(
-            'SHOPWARE_STOREFRONT_SCSS_SOURCE_MAP',
-            $scssEngine === 'sass-cli' ? '1' : '0'
-        );
         $nodeOptions = $this->appendNodeOption($this->env('NODE_OPTIONS', ''), '--no-deprecation');
 
+        $launcherDefaults = [
+            'SHOPWARE_BUILD_PARALLELISM' => (string) max(1, $this->detectCpuCount() - 1),
+            'SHOPWARE_STOREFRONT_DEV_CACHE' => '1',
+            'SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED' => '1',
+            'SHOPWARE_STOREFRONT_TWIG_WATCH_MODE' => 'narrow',
+            'SHOPWARE_STOREFRONT_JS_SOURCE_MAP' => '0',
+            'SHOPWARE_STOREFRONT_SCSS_ENGINE' => self::DEFAULT_SCSS_ENGINE,
+            'SHOPWARE_STOREFRONT_SKIP_POSTCSS' => '1',
+            'SHOPWARE_STOREFRONT_SASS_SILENCE_DEPRECATIONS' => '1',
+            'SHOPWARE_STOREFRONT_OPEN_BROWSER' => '0',
+        ];
+
         $environment = [
             'PROJECT_ROOT' => $projectRoot,
             'NODE_ENV' => $this->env('NODE_ENV', 'development'),
@@ -395,32 +425,92 @@ class WatchCommand extends Command
             'NPM_CONFIG_FUND' => 'false',
             'NPM_CONFIG_AUDIT' => 'false',
             'NPM_CONFIG_UPDATE_NOTIFIER' => 'false',
-            'SHOPWARE_BUILD_PARALLELISM' => $buildParallelism,
-            'SHOPWARE_STOREFRONT_DEV_CACHE' => $this->env('SHOPWARE_STOREFRONT_DEV_CACHE', '1'),
-            'SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED' => $useSassEmbedded,
-            'SHOPWARE_STOREFRONT_HOT_CORE_ONLY' => $disableJs ? '1' : '0',
-            'SHOPWARE_STOREFRONT_TWIG_WATCH_MODE' => $twigWatchMode,
-            'SHOPWARE_STOREFRONT_JS_SOURCE_MAP' => $this->env('SHOPWARE_STOREFRONT_JS_SOURCE_MAP', '0'),
-            'SHOPWARE_STOREFRONT_SCSS_SOURCE_MAP' => $scssSourceMapEnabled,
-            'SHOPWARE_STOREFRONT_SCSS_ENGINE' => $scssEngine,
-            'SHOPWARE_STOREFRONT_SKIP_POSTCSS' => '1',
-            'SHOPWARE_STOREFRONT_SASS_SILENCE_DEPRECATIONS' => '1',
-            'SHOPWARE_STOREFRONT_OPEN_BROWSER' => $openBrowser ? '1' : '0',
-            'SHOPWARE_STOREFRONT_DISABLE_JS' => $disableJs ? '1' : '0',
-            'SHOPWARE_STOREFRONT_DISABLE_TWIG' => $disableTwig ? '1' : '0',
-            'SHOPWARE_STOREFRONT_DISABLE_SCSS' => $disableScss ? '1' : '0',
+            self::LAUNCHER_DEFAULTS_ENV => (string) json_encode($launcherDefaults),
         ];
 
+        if ($disableJs) {
+            $environment['SHOPWARE_STOREFRONT_DISABLE_JS'] = '1';
+            $environment['SHOPWARE_STOREFRONT_HOT_CORE_ONLY'] = '1';
+        }
+
+        if ($disableTwig) {
+            $environment['SHOPWARE_STOREFRONT_DISABLE_TWIG'] = '1';
+            $environment['SHOPWARE_STOREFRONT_TWIG_WATCH_MODE'] = 'off';
+        }
+
+        if ($disableScss) {
+            $environment['SHOPWARE_STOREFRONT_DISABLE_SCSS'] = '1';
+        }
+
+        if ($openBrowser) {
+            $environment['SHOPWARE_STOREFRONT_OPEN_BROWSER'] = '1';
+        }
+
         $environment['SHOPWARE_STOREFRONT_AUTO_INSTALL_SASS_EMBEDDED'] = $this->shouldAutoInstallSassEmbedded(
-            $useSassEmbedded === '1',
+            $this->flag($environment, 'SHOPWARE_STOREFRONT_USE_SASS_EMBEDDED', true),
             $disableScss
         ) ? '1' : '0';
 
-        if ($twigWatchMode === 'narrow' || $twigWatchMode === 'off') {
-            $environment['SHOPWARE_STOREFRONT_SKIP_EXTENSION_TWIG_WATCH'] = '1';
+        return $environment;
+    }
+
+    /**
+     * Value of a hot proxy setting as known to this command: command options, then the environment,
+     * then the launcher defaults. The project config file is only read by the hot proxy itself.
+     */
+    private function setting(array $hotEnvironment, string $key, string $default): string
+    {
+        if (isset($hotEnvironment[$key])) {
+            return (string) $hotEnvironment[$key];
         }
 
-        return $environment;
+        $value = $this->env($key, '');
+        if ($value !== '') {
+            return $value;
+        }
+
+        $launcherDefaults = json_decode($hotEnvironment[self::LAUNCHER_DEFAULTS_ENV] ?? '{}', true);
+
+        return \is_array($launcherDefaults) && isset($launcherDefaults[$key]) ? (string) $launcherDefaults[$key] : $default;
+    }
+
+    /**
+     * Boolean hot proxy setting, parsed like the hot proxy does. Values it does not understand fall back to
+     * `$default`, here and (with a warning) in the hot proxy.
+     */
+    private function flag(array $hotEnvironment, string $key, bool $default): bool
+    {
+        return $this->parseFlag($this->setting($hotEnvironment, $key, ''), $default);
+    }
+
+    private function parseFlag(string $value, bool $default): bool
+    {
+        $normalized = strtolower($value);
+        if (\in_array($normalized, self::TRUE_VALUES, true)) {
+            return true;
+        }
+
+        if (\in_array($normalized, self::FALSE_VALUES, true)) {
+            return false;
+        }
+
+        return $default;
+    }
+
+    private function findProjectConfigFile(string $projectRoot): ?string
+    {
+        $configuredPath = $this->env('SHOPWARE_STOREFRONT_HOT_CONFIG', '');
+        if ($configuredPath !== '') {
+            return $this->resolvePath($projectRoot, $configuredPath);
+        }
+
+        foreach (self::CONFIG_FILE_NAMES as $fileName) {
+            if (is_file($projectRoot . '/' . $fileName)) {
+                return $projectRoot . '/' . $fileName;
+            }
+        }
+
+        return null;
     }
 
     private function shouldAutoInstallSassEmbedded(bool $useSassEmbeddedEnabled, bool $disableScss): bool
@@ -429,7 +519,7 @@ class WatchCommand extends Command
             return false;
         }
 
-        return $this->env('SHOPWARE_STOREFRONT_AUTO_INSTALL_SASS_EMBEDDED', '1') === '1';
+        return $this->parseFlag($this->env('SHOPWARE_STOREFRONT_AUTO_INSTALL_SASS_EMBEDDED', ''), true);
     }
 
     private function hasSassEmbedded(string $storefrontApp): bool
@@ -565,7 +655,7 @@ class WatchCommand extends Command
     {
         $envValue = strtolower($this->env('SHOPWARE_STOREFRONT_SCSS_ENGINE', ''));
 
-        return $envValue !== '' ? $envValue : 'sass-cli';
+        return $envValue !== '' ? $envValue : self::DEFAULT_SCSS_ENGINE;
     }
 
     private function formatPathForDisplay(string $path, string $projectRoot): string